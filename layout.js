@@ -0,0 +1,328 @@
+'use strict';
+
+/* =========================
+   Layout engine (DOM-free)
+   - Packs sections into grid cells/pages from plain numbers
+   - Height comes from a pluggable measure(section, width) function
+   - Works in the browser (window.PrintLayout) and in Node (require)
+========================= */
+(function (root, factory) {
+  const api = factory();
+  if (typeof module === 'object' && module.exports) module.exports = api;
+  else root.PrintLayout = api;
+})(typeof self !== 'undefined' ? self : this, function () {
+
+  const MM_TO_PX = 96 / 25.4;
+  const mmToPx = (mm) => mm * MM_TO_PX;
+
+  /**
+   * Grid templates. Cells are numbered row-major (0 = top-left); `fill`
+   * decides the order the packer walks them in.
+   */
+  const LAYOUTS = {
+    col1:    { label: '1 column',            cols: 1, rows: 1 },
+    col2:    { label: '2 columns',           cols: 2, rows: 1 },
+    quad:    { label: '2×2 quadrants',       cols: 2, rows: 2 },
+    grid3x2: { label: '3×2 grid',            cols: 3, rows: 2 },
+    trifold: { label: 'Tri-fold (3 panels)', cols: 3, rows: 1 }
+  };
+
+  /** Cell visiting order for a layout: 'row' (across, then down; also 'balance') or 'col' (down, then across). */
+  function fillOrder(layout, fill = 'row') {
+    const { cols, rows } = layout;
+    const order = [];
+    if (fill === 'col') {
+      for (let c = 0; c < cols; c++) for (let r = 0; r < rows; r++) order.push(r * cols + c);
+    } else {
+      for (let i = 0; i < cols * rows; i++) order.push(i);
+    }
+    return order;
+  }
+
+  /**
+   * Page geometry model shared by packing, the PDF sheet and verification.
+   * Every input is in CSS px and is expected to be *measured* (see the DOM
+   * probe in main.js) rather than guessed:
+   *   pageW/pageH     page box (Letter @ 96dpi by default)
+   *   margins         { top, right, bottom, left }
+   *   gutter          gap between columns and rows (the fold)
+   *   titleH          rendered title height incl. its margins (first page only)
+   *   cellPad         { top, right, bottom, left } padding inside a cell
+   *   leadGap         space above the first section in a cell
+   *   sectionGap      space between two sections
+   *   layout, fill    grid template from LAYOUTS and its fill order
+   *   continued       suffix for a split section's later parts (UI language)
+   * The title pushes the whole grid down, so on the first page every row
+   * is shorter, not just the top-left cell.
+   */
+  function pageGeometry(opts) {
+    const {
+      pageW = 816, pageH = 1056,
+      margins = {}, gutter = 0, titleH = 0,
+      cellPad = {}, leadGap = 0, sectionGap = 0,
+      layout = LAYOUTS.quad, fill = 'row', continued = '(cont.)'
+    } = opts || {};
+    const m = { top: 0, right: 0, bottom: 0, left: 0, ...margins };
+    const pad = { top: 0, right: 0, bottom: 0, left: 0, ...cellPad };
+    const { cols, rows } = layout;
+
+    const contentW = pageW - m.left - m.right;
+    const contentH = pageH - m.top - m.bottom;
+    const colW = (contentW - gutter * (cols - 1)) / cols;
+    const rowH = {
+      first: (contentH - titleH - gutter * (rows - 1)) / rows,
+      rest:  (contentH - gutter * (rows - 1)) / rows
+    };
+    const usable = (h) => h - pad.top - pad.bottom - leadGap;
+    const cells = cols * rows;
+
+    return {
+      pageW, pageH, margins: m, gutter, titleH, cellPad: pad, leadGap, sectionGap,
+      cols, rows, order: fillOrder(layout, fill), continued,
+      contentW, contentH, colW, rowH,
+      cellW: colW - pad.left - pad.right,
+      firstPageCellHeights: Array.from({ length: cells }, () => usable(rowH.first)),
+      cellHeights:          Array.from({ length: cells }, () => usable(rowH.rest))
+    };
+  }
+
+  /**
+   * Copy of `geo` with per-cell heights reduced by `shrink` (px, row-major).
+   * Used to re-pack after the rendered DOM reports an overflow.
+   */
+  function shrinkGeometry(geo, shrink) {
+    const cut = (hs) => hs.map((h, i) => h - (shrink[i] || 0));
+    return { ...geo, cellHeights: cut(geo.cellHeights), firstPageCellHeights: cut(geo.firstPageCellHeights) };
+  }
+
+  /**
+   * Fold and cut guides for one page of `geo`, in px: a dashed fold line
+   * down the middle of every gutter (below the title on the first page)
+   * and short cut ticks in the page margins where each line meets an edge.
+   * @returns {{kind:'fold'|'cut', x1:number, y1:number, x2:number, y2:number}[]}
+   */
+  function gutterGuides(geo, first = true) {
+    const { pageW, pageH, margins: m, gutter, titleH, cols, rows, colW } = geo;
+    const top = m.top + (first ? titleH : 0);
+    const rowH = first ? geo.rowH.first : geo.rowH.rest;
+    const lines = [];
+    for (let c = 1; c < cols; c++){
+      const x = m.left + c * colW + (c - 0.5) * gutter;
+      lines.push({ kind: 'fold', x1: x, y1: top, x2: x, y2: pageH - m.bottom });
+      lines.push({ kind: 'cut', x1: x, y1: 0, x2: x, y2: m.top * 0.8 });
+      lines.push({ kind: 'cut', x1: x, y1: pageH - m.bottom * 0.8, x2: x, y2: pageH });
+    }
+    for (let r = 1; r < rows; r++){
+      const y = top + r * rowH + (r - 0.5) * gutter;
+      lines.push({ kind: 'fold', x1: m.left, y1: y, x2: pageW - m.right, y2: y });
+      lines.push({ kind: 'cut', x1: 0, y1: y, x2: m.left * 0.8, y2: y });
+      lines.push({ kind: 'cut', x1: pageW - m.right * 0.8, y1: y, x2: pageW, y2: y });
+    }
+    return lines;
+  }
+
+  /**
+   * Height-aware packing in the geometry's fill order (default row-major:
+   * TL -> TR -> BL -> BR) with the section gap accounted. Sections that
+   * don't fit whole are split with a "(cont.)" heading; full pages roll
+   * over onto a new page. Items are opaque to the packer (strings or
+   * { text, ... } objects) and extra section fields (e.g. `done`) are kept.
+   *
+   * @param {{name:string, items:Array}[]} sections
+   * @param {{cellW:number, cellHeights:number[], firstPageCellHeights?:number[], order?:number[], sectionGap:number, continued?:string}} geo
+   *        Usable content height per cell; see pageGeometry().
+   * @param {(section:{name:string, items:Array}, width:number) => number} measure
+   *        Pure section height (margins NOT included).
+   * @returns {{name:string, items:Array}[][][]} pages -> cells (row-major) -> sections
+   */
+  function packSections(sections, geo, measure) {
+    const { cellW, cellHeights, firstPageCellHeights = cellHeights, sectionGap = 0, continued = '(cont.)' } = geo;
+    const order = geo.order || cellHeights.map((_, i) => i);
+    const measureSection = (name, items) => measure({ name, items }, cellW);
+
+    const newPage = () => cellHeights.map(() => []);
+    const pages = [newPage()];
+    let page = pages[0];
+
+    let step = 0;
+    let q = order[step];
+    let usedH = 0;
+    let countInCell = 0;
+
+    const advance = () => {
+      step++;
+      if (step >= order.length){
+        page = newPage();
+        pages.push(page);
+        step = 0;
+      }
+      q = order[step];
+      usedH = 0;
+      countInCell = 0;
+    };
+
+    // The first page is shorter: its rows sit below the title
+    const heightOf = () => (pages.length === 1 ? firstPageCellHeights : cellHeights)[q];
+
+    const epsilon = 1; // safety margin
+
+    for (const section of sections){
+      const tryPlaceWhole = () => {
+        const h = measureSection(section.name, section.items);
+        const gap = countInCell > 0 ? sectionGap : 0;
+        const availableH = heightOf() - usedH - epsilon;
+        return (h + gap) <= availableH ? { ok:true, h:h+gap } : { ok:false, h };
+      };
+
+      // Attempt to place whole section
+      const attempt = tryPlaceWhole();
+      if (attempt.ok){
+        if (countInCell > 0) usedH += sectionGap;
+        page[q].push({ ...section, items: section.items.slice() });
+        usedH += (attempt.h - (countInCell > 0 ? sectionGap : 0)); // add pure section height after adding gap
+        countInCell++;
+        continue;
+      }
+
+      // Split across cells (and pages, if needed)
+      let start = 0, part = 1;
+      while (start < section.items.length){
+        const currH = heightOf();
+        const name = (start === 0 && part === 1) ? section.name : `${section.name} ${continued}`;
+
+        // Binary search: largest slice that fits, considering the gap if needed
+        let lo = 1, hi = section.items.length - start, bestN = 0, bestPureH = 0;
+        while (lo <= hi){
+          const mid = (lo + hi) >> 1;
+          const pureH = measureSection(name, section.items.slice(start, start + mid));
+          const totalH = pureH + (countInCell > 0 ? sectionGap : 0);
+          if (totalH <= (currH - usedH - epsilon)){
+            bestN = mid; bestPureH = pureH; lo = mid + 1;
+          } else {
+            hi = mid - 1;
+          }
+        }
+
+        // A single item taller than an empty cell would never fit anywhere;
+        // place it anyway rather than paging forever.
+        if (bestN === 0 && countInCell === 0){
+          bestN = 1;
+          bestPureH = measureSection(name, section.items.slice(start, start + 1));
+        }
+
+        if (bestN > 0){
+          if (countInCell > 0) usedH += sectionGap;
+          page[q].push({ ...section, name, items: section.items.slice(start, start + bestN) });
+          usedH += bestPureH;
+          start += bestN;
+          part++;
+          countInCell++;
+
+          if (start < section.items.length) advance();
+        } else {
+          // Nothing fits here; advance to the next cell
+          advance();
+        }
+      }
+    }
+
+    return pages;
+  }
+
+  /**
+   * Like packSections, but evens out the cells of a one-page list: the
+   * smallest cell height that still fits everything on one page is found by
+   * binary search, so the last cells aren't left empty. The search never
+   * goes below the tallest heading plus one row, so no item is ever placed
+   * in a cell too short for it; a list too short to reach the last cell
+   * that way, or one that needs more than a page, packs as usual.
+   */
+  function packBalanced(sections, geo, measure, steps = 10) {
+    const pages = packSections(sections, geo, measure);
+    if (pages.length > 1) return pages;
+    const first = geo.firstPageCellHeights || geo.cellHeights;
+    const capped = (h) => ({ ...geo, firstPageCellHeights: first.map(c => Math.min(c, h)) });
+    const continued = geo.continued || '(cont.)';
+    const rowH = (name, item) => measure({ name, items: [item] }, geo.cellW);
+
+    let lo = Math.max(0, ...sections.flatMap(s => s.items.map(item =>
+      Math.max(rowH(s.name, item), rowH(`${s.name} ${continued}`, item)))));
+    let hi = Math.max(...first), best = null;
+    for (let i = 0; i < steps && lo < hi; i++){
+      const mid = (lo + hi) / 2;
+      const attempt = packSections(sections, capped(mid), measure);
+      if (attempt.length === 1){ best = attempt; hi = mid; } else { lo = mid; }
+    }
+    return best && best[0].every(cell => cell.length) ? best : pages;
+  }
+
+  /* =========================
+     Font-metrics estimator
+     - Approximates the .section/.item CSS without a DOM
+     - Good enough to pack in Node and for fixture checks
+  ========================= */
+
+  // rem/px/number -> px
+  function toPx(v, rootPx = 16) {
+    if (typeof v === 'number') return v;
+    const s = String(v || '').trim();
+    if (s.endsWith('rem')) return parseFloat(s) * rootPx;
+    return parseFloat(s) || 0;
+  }
+
+  /**
+   * Build a measure(section, width) that estimates heights from font sizes.
+   * `sizes` takes the same shape as a sizeMap entry ({ heading, item } in rem).
+   * Averages are tuned for Inter/Helvetica-like sans-serif faces.
+   */
+  function createFontMetricsMeasurer(sizes, opts = {}) {
+    const {
+      rootPx      = 16,
+      lineHeight  = 1.2,    // "normal" line-height for sans-serif faces
+      avgCharEm   = 0.52,   // average glyph advance for regular weight
+      boldCharEm  = 0.58,   // ...and for bold headings
+      lineGap     = 0.32 * rootPx, // --line-gap
+      iconSize    = 28,     // --icon-size
+      subIndent   = 1.4 * rootPx,  // --sub-indent, per nesting level
+      iconFirst   = false,  // kids mode: every row leads with a picture column
+      hasIcon     = () => true     // conservative: assume every row has an icon
+    } = opts;
+
+    const headingPx = toPx(sizes.heading, rootPx);
+    const itemPx    = toPx(sizes.item, rootPx);
+
+    // .cb box (1.05rem + 1.8px borders) plus the .55rem flex gap
+    const checkboxW = 1.05 * rootPx + 3.6 + 0.55 * rootPx;
+    // h2: margin-bottom 6px + padding-bottom 4px + 1px border
+    const headingChrome = 11;
+
+    const linesFor = (text, px, charEm, width, extraW = 0) => {
+      const textW = String(text).length * px * charEm + extraW;
+      return Math.max(1, Math.ceil(textW / Math.max(1, width)));
+    };
+
+    return function measure(section, width) {
+      const headingH = linesFor(section.name, headingPx, boldCharEm, width) * headingPx * lineHeight + headingChrome;
+
+      const labelW = width - checkboxW;
+      let itemsH = 0;
+      section.items.forEach((item, i) => {
+        const text = typeof item === 'string' ? item : item.text;
+        const indent = (item.depth || 0) * subIndent;
+        const icon = iconFirst || hasIcon(text);
+        // The icon sits inline after the label text (.35rem gap + half-em margin) and wraps with it;
+        // in kids mode it takes its own column before the text instead
+        const iconW = icon ? iconSize + 0.35 * rootPx + itemPx * 0.5 : 0;
+        const lines = iconFirst
+          ? linesFor(text, itemPx, avgCharEm, labelW - indent - iconW)
+          : linesFor(text, itemPx, avgCharEm, labelW - indent, iconW);
+        const rowH = Math.max(lines * itemPx * lineHeight, icon ? iconSize : 0, 1.05 * rootPx + 3.6);
+        itemsH += rowH + (i > 0 ? lineGap : 0);
+      });
+
+      return headingH + itemsH;
+    };
+  }
+
+  return { mmToPx, LAYOUTS, fillOrder, pageGeometry, shrinkGeometry, gutterGuides, packSections, packBalanced, createFontMetricsMeasurer };
+});
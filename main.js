@@ -5,54 +5,224 @@
 ========================= */
 const ICON_BASE = 'assets';   // folder that holds your 66x66 (or 96x96) PNGs
 const ICON_EXT  = 'png';      // png/webp/jpg etc.
+const ICON_SPRITE = 'grocery-icons.svg';  // <symbol id="i-..."> sprite (drawn icons)
+const ICON_FALLBACK = ['sprite', 'png'];  // "Auto" icon set: first source that has the key wins
 
 /* =========================
    Icon map (JSON)
 ========================= */
-let ICON_KEYS = new Set(); // canonical keys ("banana","tomato",...)
+let ICON_KEYS = new Set(); // keys in the active icon set ("banana","tomato",...)
+let PNG_KEYS  = new Set(); // keys with a PNG in ICON_BASE (assets/manifest.json)
+let SPRITE    = { css: '', ids: new Map() }; // key -> <symbol> id in the inlined sprite
+let ICON_SET  = 'png';     // 'png' | 'sprite' | 'auto' (see applyIconSet)
 let SYNONYMS  = {};        // "ripe banana" -> "banana, "bell pepper" -> "pepper", etc.
-
-// The old function is replaced by the new one below
-// async function loadIconMap() {
-//   const res = await fetch('./icon-map.json?v=' + Date.now(), { cache: 'no-store' });
-//   if (!res.ok) throw new Error(`icon-map.json fetch failed: ${res.status} ${res.statusText}`);
-//   const data = await res.json();
-//   ICON_KEYS = new Set(data.canonical || []);
-///  SYNONYMS  = data.synonyms  || {};
-//   console.log('[icon-map] loaded:', ICON_KEYS.size, 'keys,', Object.keys(SYNONYMS).length, 'synonyms');
-// }
+let BRANDS    = new Set(); // lowercase brand names, e.g. "charmin" (see parseItemDetails)
+let USER_SYNONYMS = {};    // picked in the icon editor; wins over SYNONYMS, "" = no icon
 
 /* =========================
-   Icon Matching (Drop-in)
-   - No canonical whitelist required
+   Icon Matching
+   - Verified against the icons that actually exist (assets/manifest.json,
+     plus an optional "canonical" list in icon-map.json)
    - Optional synonyms via icon-map.json
    - Handles case, plurals, and common modifiers
 ========================= */
 
-// If you already define these, keep your originals and remove these lines.
-// const ICON_BASE = 'assets';    // folder that holds your PNGs
-// const ICON_EXT  = 'png';       // png/webp/jpg etc.
-
-// let SYNONYMS = {};           // e.g., { "pb": "peanut_butter", "bell pepper": "pepper" }
-
 /**
- * Load synonyms from icon-map.json if present.
- * - canonical list is IGNORED by design (no whitelist).
- * - Missing file or bad JSON -> gracefully falls back to {}.
+ * Load the icon lists and synonyms.
+ * - assets/manifest.json is generated by tools/icon-manifest.js.
+ * - The SVG sprite is inlined once so <use href="#i-..."> can reach it.
+ * - Synonym keys are normalized like item text so "Coca-Cola" matches.
+ * - Missing files or bad JSON -> gracefully fall back to empty maps; with no
+ *   icon list at all, matching goes back to guessing filenames.
  */
 async function loadIconMap() {
-  try {
-    const res = await fetch('./icon-map.json?v=' + Date.now(), { cache: 'no-store' });
-    if (!res.ok) throw new Error(`icon-map.json fetch failed: ${res.status} ${res.statusText}`);
-    const data = await res.json();
-    SYNONYMS = data?.synonyms || {};
-    console.log('[icon-map] synonyms loaded:', Object.keys(SYNONYMS).length);
-  } catch (err) {
-    console.warn('[icon-map] no synonyms loaded (optional):', err?.message || err);
-    SYNONYMS = {};
+  const [manifest, map, sprite] = await Promise.allSettled([
+    // 'no-cache' revalidates when online; offline the service worker answers
+    fetchJson(`./${ICON_BASE}/manifest.json`),
+    fetchJson('./icon-map.json'),
+    fetch(`./${ICON_SPRITE}`, { cache: 'no-cache' }).then(res => {
+      if (!res.ok) throw new Error(`${ICON_SPRITE} fetch failed: ${res.status} ${res.statusText}`);
+      return res.text();
+    })
+  ]);
+
+  const data = map.status === 'fulfilled' ? map.value : null;
+  if (!data) console.warn('[icon-map] no synonyms loaded (optional):', map.reason?.message || map.reason);
+  SYNONYMS = {};
+  for (const [from, to] of Object.entries(data?.synonyms || {})) {
+    SYNONYMS[normalize(from)] = String(to);
   }
+  BRANDS = new Set((data?.brands || []).map(b => String(b).toLowerCase()));
+
+  const icons = manifest.status === 'fulfilled' ? (manifest.value?.icons || []) : [];
+  if (manifest.status !== 'fulfilled') console.warn('[icon-map] no icon manifest, icons are unverified:', manifest.reason?.message || manifest.reason);
+  PNG_KEYS = new Set([...icons, ...(data?.canonical || [])].map(k => toKey(String(k))));
+
+  if (sprite.status === 'fulfilled') inlineSprite(sprite.value);
+  else console.warn('[icon-map] no SVG sprite:', sprite.reason?.message || sprite.reason);
+  applyIconSet(ICON_SET);
+
+  console.log('[icon-map] loaded:', PNG_KEYS.size, 'PNG icons,', SPRITE.ids.size, 'SVG icons,', Object.keys(SYNONYMS).length, 'synonyms');
+}
+
+async function fetchJson(url) {
+  const res = await fetch(url, { cache: 'no-cache' });
+  if (!res.ok) throw new Error(`${url} fetch failed: ${res.status} ${res.statusText}`);
+  return res.json();
+}
+
+/* =========================
+   Locale packs (matching + UI messages)
+   - A pack has modifier words, plural rules, synonyms and UI messages;
+     English is built in, others load from locales/<code>.json
+   - Matching runs the packs the user ticked, in their order (MATCH_PACKS)
+   - UI text comes from the UI_LOCALE pack, falling back to English
+========================= */
+const LOCALE_CODES = ['en', 'fr', 'es'];
+
+const LOCALE_EN = {
+  name: 'English',
+  // Words we ignore before matching (colors, packaging, generic descriptors)
+  modifiers: [
+    'green','red','yellow','orange','ripe','unripe','fresh','frozen','organic',
+    'large','small','medium','big','mini',
+    'bag','box','bottle','jar','pack','pkg','tin','can','carton','case',
+    'check','note','sale','bulk','family','value','bundle'
+  ],
+  // [pattern, replacement]: the first match wins; -ss/-us (hummus) are kept
+  plurals: [
+    ['ies$', 'y'],             // berries -> berry
+    ['(ch|sh|x|z)es$', '$1'],  // boxes -> box, dishes -> dish
+    ['oes$', 'o'],             // tomatoes -> tomato
+    ['(ss|us)$', '$&'],
+    ['s$', '']                 // apples -> apple
+  ],
+  synonyms: {} // icon-map.json holds the English synonyms
+};
+
+// English for text built in code; labels in index.html are their own default
+const MESSAGES_EN = {
+  'empty': 'All items are checked. Nothing left to buy 🎉',
+  'cont': '(cont.)',
+  'section.items': 'Items',
+  'section.done': 'Done',
+  'overflow': '⚠ {items} didn’t fit on page 1 and spilled onto {pages}. Try a smaller text size to keep it to one sheet.',
+  'overflow.items_one': '{n} item',
+  'overflow.items_other': '{n} items',
+  'overflow.pages_one': '{n} more page',
+  'overflow.pages_other': '{n} more pages',
+  'merge.head_one': 'Merged {n} duplicate:',
+  'merge.head_other': 'Merged {n} duplicates:',
+  'merge.undo': 'Undo',
+  'merge.undo.title': 'Print these separately',
+  'merge.undoAll': 'Undo all',
+  'merge.undoAll.title': 'Print every duplicate separately',
+  'merge.skipped': 'Kept separate: {names}',
+  'merge.again': 'Merge',
+  'merge.again.title': 'Merge these duplicates again',
+  'size.autoPct': 'Auto ({pct}%)',
+  'pdf.building': 'Building…',
+  'list.new': 'New list',
+  'list.reallyDelete': 'Really delete?',
+  'history.items_one': '{n} item',
+  'history.items_other': '{n} items',
+  'history.current': 'current',
+  'history.restore': 'Restore',
+  'history.empty': 'No saved versions yet.',
+  'combine.pasted': 'Pasted list below',
+  'store.asWritten': 'As written',
+  'store.mine': 'My store',
+  'icon.none': 'No icon',
+  'icon.change': 'Change…',
+  'debug.title': 'Icon matching',
+  'debug.summary': '{icons} icons, {synonyms} synonyms. Best score wins if it is at least {threshold}.',
+  'debug.item': 'Item',
+  'debug.matchedAs': 'Matched as',
+  'debug.icon': 'Icon',
+  'debug.candidates': 'Candidates (best first)',
+  'debug.noIcon': 'no icon',
+  'debug.via.user': 'your synonym',
+  'debug.via.pack': '{pack} synonym',
+  'debug.via.synonym': 'synonym',
+  'debug.via.exact': 'exact',
+  'debug.via.fuzzy': 'fuzzy "{target}"',
+  'debug.via.fuzzySynonym': 'fuzzy synonym "{target}"',
+  'debug.nothingClose': 'nothing close',
+  'picker.noIcons': 'No icon list loaded (assets/manifest.json).',
+  'list.copyName': '{name} (copy)',
+  'share.copied': 'Link copied.',
+  'share.copy': 'Copy the link above.',
+  'share.scan': 'Scan the code to open this list on another device.',
+  'share.tooLong': 'The list is too long for a QR code ({n} characters); send the link instead.',
+  'share.noQr': 'No QR code: {error}.',
+  'error.iconMap': 'Could not load icon-map.json. Icons may be missing.',
+  'error.sample': 'Could not load sample.md',
+  'error.pdf': 'PDF failed — see console.',
+  'error.pdfLib': 'PDF export is unavailable: {file} did not load. Reload the page while online to re-download it.',
+  'error.import': 'Could not import synonyms: {error}',
+  'error.shareLink': 'Could not build the share link — see console.',
+  'error.openLink': 'Could not open this link: {error}',
+  'error.writeBack': 'Plain lines have no check marks to write back. Add "- [ ] " in front of items to keep checks in the text.',
+  'error.noSynonyms': 'No "synonyms" found in that file.',
+  'error.libMissing': '{file} did not load',
+  'error.noDecompression': 'This browser cannot open compressed list links.',
+  'error.linkVersion': 'This link needs a newer version of the app (link v{v}).',
+  'match.up': 'Move up',
+  'match.down': 'Move down'
+};
+
+/** Normalize a pack the way icon-map.json is: keys and modifiers like item text. */
+function compileLocale(code, data){
+  const synonyms = {};
+  for (const [from, to] of Object.entries(data?.synonyms || {})) synonyms[normalize(from)] = String(to);
+  return {
+    code,
+    name: String(data?.name || code),
+    modifiers: new Set((data?.modifiers || []).map(normalize).filter(Boolean)),
+    plurals: (data?.plurals || []).map(([from, to]) => [new RegExp(from), String(to)]),
+    synonyms,
+    messages: data?.messages || {}
+  };
+}
+
+const LOCALE_PACKS = { en: compileLocale('en', LOCALE_EN) };
+let MATCH_LOCALES = ['en']; // pack codes in matching order (saved as optMatchLocales)
+let MATCH_PACKS = [LOCALE_PACKS.en];
+let UI_LOCALE = 'en';
+
+async function loadLocales(){
+  const codes = LOCALE_CODES.filter(code => !LOCALE_PACKS[code]);
+  const results = await Promise.allSettled(codes.map(code => fetchJson(`./locales/${code}.json`)));
+  results.forEach((res, i) => {
+    try {
+      if (res.status !== 'fulfilled') throw res.reason;
+      LOCALE_PACKS[codes[i]] = compileLocale(codes[i], res.value);
+    } catch (e) {
+      console.warn(`[locales] ${codes[i]} not loaded:`, e?.message || e);
+    }
+  });
+}
+
+// Packs that did not load are skipped (but stay in the saved order)
+function setMatchLocales(codes){
+  MATCH_LOCALES = codes.filter(code => LOCALE_CODES.includes(code));
+  MATCH_PACKS = MATCH_LOCALES.map(code => LOCALE_PACKS[code]).filter(Boolean);
+  if (!MATCH_PACKS.length) MATCH_PACKS = [LOCALE_PACKS.en];
+  COMMON_MODS = new Set(MATCH_PACKS.flatMap(pack => [...pack.modifiers]));
+  MATCH_CACHE.clear();
+}
+
+/** UI text for key with {name} placeholders filled in; fallback when no pack has it. */
+function t(key, vars = {}, fallback = key){
+  const messages = LOCALE_PACKS[UI_LOCALE]?.messages || {};
+  const text = Object.hasOwn(messages, key) ? messages[key] : Object.hasOwn(MESSAGES_EN, key) ? MESSAGES_EN[key] : fallback;
+  return String(text).replace(/\{(\w+)\}/g, (m, name) => vars[name] ?? m);
 }
 
+// Counted text: key_one / key_other by the UI language's plural rules (fr: 0 and 1 are "one")
+const tn = (key, n, vars = {}) =>
+  t(`${key}_${new Intl.PluralRules(UI_LOCALE).select(n) === 'one' ? 'one' : 'other'}`, { n, ...vars });
+
 /* =========================
    Normalization helpers
 ========================= */
@@ -66,8 +236,9 @@ function normalize(s) {
     // .replace(/\[[^[\]]*\]/g, '')     // remove [...] blocks
     // .replace(/\{[^{}]*\}/g, '')      // remove {...} blocks
 
-    // 2) Lowercase and strip accents
+    // 2) Lowercase and strip accents (ligatures don't decompose: œufs -> oeufs)
     .toLowerCase()
+    .replace(/œ/g, 'oe').replace(/æ/g, 'ae')
     .normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
 
     // 3) Strip possessives before generic punctuation handling
@@ -84,13 +255,9 @@ function normalize(s) {
     .trim();
 }
 
-// Words we ignore before matching (colors, packaging, generic descriptors)
-const COMMON_MODS = new Set([
-  'green','red','yellow','orange','ripe','unripe','fresh','frozen','organic',
-  'large','small','medium','big','mini',
-  'bag','box','bottle','jar','pack','pkg','tin','can','carton','case',
-  'check','note','sale','bulk','family','value','bundle'
-]);
+// Words we ignore before matching: the modifiers of every pack in
+// MATCH_PACKS (see setMatchLocales)
+let COMMON_MODS = new Set(LOCALE_PACKS.en.modifiers);
 
 function stripModifiers(text) {
   const words = text.split(' ').filter(Boolean);
@@ -98,13 +265,16 @@ function stripModifiers(text) {
   return kept.join(' ') || text; // keep original if we stripped everything
 }
 
-// Basic plural → singular handling for grocery words (unchanged)
-// Protects -us endings (e.g., hummus) from being truncated.
-function singularizeWord(w) {
-  if (/ies$/.test(w)) return w.replace(/ies$/, 'y');               // berries -> berry
-  if (/(ches|shes|xes|zes)$/.test(w)) return w.replace(/es$/, ''); // boxes -> box, dishes -> dish
-  if (/oes$/.test(w)) return w.replace(/es$/, 'o');                 // tomatoes -> tomato
-  if (/s$/.test(w) && !/(ss|us)$/.test(w)) return w.replace(/s$/, ''); // apples -> apple
+/**
+ * Plural -> singular with a pack's rules (berries -> berry, gâteaux -> gâteau,
+ * limones -> limón): the first rule whose pattern matches rewrites the word.
+ * Defaults to the first matching language; icon keys and the category map
+ * are English, so they pass LOCALE_PACKS.en.
+ */
+function singularizeWord(w, pack = MATCH_PACKS[0]) {
+  for (const [re, to] of pack?.plurals || []) {
+    if (re.test(w)) return w.replace(re, to);
+  }
   return w;
 }
 
@@ -114,82 +284,259 @@ function toKey(s) {
 }
 
 /* =========================
-   Core matching (no whitelist)
+   Core matching (scored)
+   - Exact phrases first, then typo-tolerant lookups ("bannana" -> banana)
+   - Every candidate gets a score; the best one above MATCH_THRESHOLD wins
+   - explainIconMatch() keeps the whole ranking for the debug panel
 ========================= */
 
+const MATCH_THRESHOLD = 0.5;  // below this no icon beats a wrong icon
+const SYNONYM_BONUS   = 0.05; // a curated synonym beats an equally good filename hit
+const MATCH_CACHE = new Map(); // raw text -> explanation; cleared when the icon map loads
+
+// With no icon list loaded every key is assumed to exist (img.onerror cleans up)
+const iconExists = (key) => !!key && (ICON_KEYS.size === 0 || ICON_KEYS.has(key));
+
+// Where a synonym comes from: the user's own (icon editor), then the locale
+// packs in matching order, then icon-map.json. `via` names a debug.via.* message.
+function synonymSource(phrase) {
+  if (Object.hasOwn(USER_SYNONYMS, phrase)) return { map: USER_SYNONYMS, via: 'user' };
+  const pack = MATCH_PACKS.find(p => Object.hasOwn(p.synonyms, phrase));
+  if (pack) return { map: pack.synonyms, via: 'pack', pack: pack.code };
+  return Object.hasOwn(SYNONYMS, phrase) ? { map: SYNONYMS, via: 'synonym' } : null;
+}
+const SYNONYM_VIAS = new Set(['user', 'pack', 'synonym', 'fuzzySynonym']);
+
+const synonymFor = (phrase) => { const src = synonymSource(phrase); return src ? src.map[phrase] : undefined; };
+
+// A synonym target, checked as written and singularized ("eggs" -> egg)
+function resolveKey(phrase) {
+  const target = synonymFor(phrase);
+  const keys = target
+    ? [toKey(target), toKey(target.split(/\s+/).map(w => singularizeWord(w, LOCALE_PACKS.en)).join(' '))]
+    : [toKey(phrase)];
+  return keys.find(iconExists) || null;
+}
+
+// Edit distance where swapping two neighbours ("avocdao") counts as one edit
+function editDistance(a, b) {
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+  for (let j = 1; j <= b.length; j++) d[0][j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return d[a.length][b.length];
+}
+
+// Typos tolerated for a phrase of this length; short words must match exactly
+const maxEdits = (s) => s.length < 5 ? 0 : s.length < 9 ? 1 : 2;
+
+/**
+ * Closest icon key or synonym to `phrase` within maxEdits, or null.
+ * Icon keys are compared with spaces ("peanut butter"), like the phrase.
+ * Locale pack synonyms only match as written: one typo away is often a
+ * word of another language (Spanish "leche" vs French "pêche").
+ */
+function fuzzyLookup(phrase) {
+  const limit = maxEdits(phrase);
+  if (!limit) return null;
+  let best = null;
+  const consider = (target, key, via) => {
+    if (!key || Math.abs(target.length - phrase.length) > limit) return;
+    const distance = editDistance(phrase, target);
+    if (distance <= limit && (!best || distance < best.distance)) best = { target, key, via, distance };
+  };
+  for (const k of ICON_KEYS) consider(k.replace(/_/g, ' '), k, 'fuzzy');
+  for (const syn of new Set([...Object.keys(SYNONYMS), ...Object.keys(USER_SYNONYMS)])) {
+    consider(syn, resolveKey(syn), 'fuzzySynonym');
+  }
+  return best;
+}
+
 /**
- * Returns an icon key (string) or null.
- * Strategy:
- * 1) Clean + strip modifiers.
- * 2) Try synonyms on full phrase.
- * 3) Try direct filename from full phrase.
- * 4) Try tail n-grams (3 → 2 → 1 words), with synonyms first, then direct.
- * 5) Try last token, then any token (singularized).
- * 6) Null if nothing sensible.
+ * Rank every icon candidate for an item.
+ * Phrases tried: full phrase, tail n-grams (3 → 2 → 1 words) and single
+ * tokens, each as written and then singularized by each matching language
+ * in the user's order (MATCH_PACKS). A phrase scores
+ *   similarity × (0.5 + 0.5 × words covered / words in item) (+ SYNONYM_BONUS)
+ * where similarity is 1 for an exact hit and 1 − edits/length for a typo.
+ * Ties keep the order above, so tail words (usually the noun) win.
+ * A user synonym for the whole item always wins, including "" (no icon).
  *
- * NOTE: We DO NOT check if the file exists. <img>.onerror will handle misses.
+ * @returns {{text:string, cleaned:string, key:string|null,
+ *   candidates:{phrase:string, key:string, via:string, pack?:string, target?:string, score:number}[]}}
+ * `via` names how the phrase matched (a debug.via.* message).
  */
-function pickIconKeySmart(rawText) {
-  const cleaned = normalize(stripModifiers(normalize(rawText)));
-  if (!cleaned) return null;
+function explainIconMatch(rawText) {
+  if (MATCH_CACHE.has(rawText)) return MATCH_CACHE.get(rawText);
 
-  // Full phrase → singularize tokens
+  const cleaned = normalize(stripModifiers(normalize(rawText)));
   const words = cleaned.split(' ').filter(Boolean);
-  const singularWords = words.map(singularizeWord);
-  const fullSingular = singularWords.join(' ');
+  const forms = [words, ...MATCH_PACKS.map(pack => words.map(w => singularizeWord(w, pack)))];
 
-  // 1) Full phrase via synonyms
-  if (SYNONYMS[cleaned]) return toKey(SYNONYMS[cleaned]);
-  if (SYNONYMS[fullSingular]) return toKey(SYNONYMS[fullSingular]);
+  if (USER_SYNONYMS[cleaned] === '') {
+    const result = { text: rawText, cleaned, key: null, candidates: [{ phrase: cleaned, key: '', via: 'user', score: 1 }] };
+    MATCH_CACHE.set(rawText, result);
+    return result;
+  }
 
-  // 2) Full phrase direct
-  if (fullSingular) return toKey(fullSingular);
+  const phrases = forms.map(form => [form.join(' '), words.length]);
+  for (let n = Math.min(3, words.length); n >= 1; n--) {
+    for (const form of forms) phrases.push([form.slice(-n).join(' '), n]);
+  }
+  words.forEach((w, i) => { for (const form of forms) phrases.push([form[i], 1]); });
+
+  const candidates = [];
+  const seen = new Set();
+  for (const [phrase, n] of phrases) {
+    if (!phrase || seen.has(phrase)) continue;
+    seen.add(phrase);
+
+    let hit = null;
+    if (synonymFor(phrase) && resolveKey(phrase)) {
+      const { via, pack } = synonymSource(phrase);
+      hit = { key: resolveKey(phrase), via, pack, similarity: 1 };
+    }
+    else if (iconExists(toKey(phrase))) hit = { key: toKey(phrase), via: 'exact', similarity: 1 };
+    else {
+      const f = fuzzyLookup(phrase);
+      if (f) hit = { key: f.key, via: f.via, target: f.target, similarity: 1 - f.distance / Math.max(phrase.length, f.target.length) };
+    }
+    if (!hit) continue;
 
-  // 3) Tail n-grams (3 → 2 → 1)
-  for (let n = Math.min(3, singularWords.length); n >= 1; n--) {
-    const tail = singularWords.slice(-n).join(' ');
-    if (SYNONYMS[tail]) return toKey(SYNONYMS[tail]);
-    if (tail) return toKey(tail);
+    const bonus = SYNONYM_VIAS.has(hit.via) ? SYNONYM_BONUS : 0;
+    const score = Math.min(1, hit.similarity * (0.5 + 0.5 * n / words.length) + bonus);
+    candidates.push({ phrase, key: hit.key, via: hit.via, pack: hit.pack, target: hit.target, score: Math.round(score * 1000) / 1000 });
   }
+  candidates.sort((a, b) => b.score - a.score); // stable: ties keep phrase order
+
+  const winner = candidates[0] && candidates[0].score >= MATCH_THRESHOLD ? candidates[0] : null;
+  const result = { text: rawText, cleaned, key: winner ? winner.key : null, candidates };
+  MATCH_CACHE.set(rawText, result);
+  return result;
+}
+
+/** Returns the best verified icon key (string) for an item, or null. */
+function pickIconKeySmart(rawText) {
+  return explainIconMatch(rawText).key;
+}
+
+/* =========================
+   Icon sources
+   - png:    ICON_BASE/<key>.ICON_EXT, listed in assets/manifest.json
+   - sprite: <symbol id="i-<key>"> from ICON_SPRITE, inlined into the page
+   - auto:   the first source in ICON_FALLBACK that has the key
+   The matcher only picks keys the active set can draw (ICON_KEYS).
+========================= */
+const ICON_SETS = {
+  png:    'Photos (PNG)',
+  sprite: 'Drawings (SVG)',
+  auto:   'Drawings, then photos'
+};
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+const iconSources = () => ICON_SET === 'auto' ? ICON_FALLBACK : [ICON_SET];
 
-  // 4) Last token, then any token
-  if (singularWords.length) {
-    const last = singularWords[singularWords.length - 1];
-    if (SYNONYMS[last]) return toKey(SYNONYMS[last]);
-    if (last) return toKey(last);
+function applyIconSet(name){
+  ICON_SET = ICON_SETS[name] ? name : 'png';
+  const lists = iconSources().map(src => src === 'sprite' ? [...SPRITE.ids.keys()] : [...PNG_KEYS]);
+  // An empty list means "unknown" (e.g. no manifest): stop verifying rather than hide every icon
+  ICON_KEYS = lists.some(l => !l.length) ? new Set() : new Set(lists.flat());
+  MATCH_CACHE.clear();
+}
+
+/**
+ * Put the sprite in a hidden container and index its symbols by icon key.
+ * "i-peanut-butter" -> peanut_butter, "i-eggs" -> eggs and egg; the first
+ * symbol for a key wins (later "_compat" copies are ignored).
+ */
+function inlineSprite(svgText){
+  let host = document.getElementById('icon-sprite');
+  if (!host){
+    host = document.createElement('div');
+    host.id = 'icon-sprite';
+    host.hidden = true;
+    document.body.prepend(host);
   }
-  for (const w of singularWords) {
-    if (SYNONYMS[w]) return toKey(SYNONYMS[w]);
-    if (w) return toKey(w);
+  host.innerHTML = svgText;
+
+  const ids = new Map();
+  for (const sym of host.querySelectorAll('symbol[id]')){
+    const name = sym.id.replace(/^i-/, '').replace(/_compat$/, '').replace(/[-_]+/g, ' ');
+    for (const key of [toKey(name), toKey(name.split(' ').map(w => singularizeWord(w, LOCALE_PACKS.en)).join(' '))]){
+      if (!ids.has(key)) ids.set(key, sym.id);
+    }
   }
+  SPRITE = { css: [...host.querySelectorAll('style')].map(st => st.textContent).join('\n'), ids };
+}
 
+/** Where the active icon set draws `key` from: { key, url } or { key, id }, or null. */
+function resolveIcon(key){
+  if (!key) return null;
+  for (const src of iconSources()){
+    if (src === 'sprite' && SPRITE.ids.has(key)) return { key, id: SPRITE.ids.get(key) };
+    if (src === 'png' && (!PNG_KEYS.size || PNG_KEYS.has(key))) return { key, url: `${ICON_BASE}/${key}.${ICON_EXT}` };
+  }
   return null;
 }
 
+// A sprite symbol as a standalone SVG image (its own viewBox and the sprite's styles)
+function spriteDataUrl(id){
+  const sym = document.getElementById(id);
+  if (!sym) return null;
+  const xml = new XMLSerializer();
+  const body = [...sym.childNodes].map(n => xml.serializeToString(n)).join('');
+  const svg = `<svg xmlns="${SVG_NS}" viewBox="${sym.getAttribute('viewBox') || '0 0 24 24'}" width="256" height="256">`
+    + `<style>${SPRITE.css}</style>${body}</svg>`;
+  return 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(svg);
+}
+
 /* =========================
    Utilities for consumers
 ========================= */
 
-function getIconUrlForText(rawText, base = ICON_BASE, ext = ICON_EXT) {
-  const key = pickIconKeySmart(rawText);
-  return key ? `${base}/${key}.${ext}` : null;
+// An image URL for the item's icon (PNG path or sprite data URL), or null
+function getIconUrlForText(rawText) {
+  const icon = resolveIcon(pickIconKeySmart(rawText));
+  return icon ? (icon.url || spriteDataUrl(icon.id)) : null;
 }
 
 /**
- * Create a <span class="icon"> with <img>, auto-removing on 404.
- * Returns the span element or null if no key.
+ * Create a <span class="icon-wrap"> for an icon key: <svg><use> for the
+ * sprite, <img> for PNGs (auto-removing on 404). Null if the set lacks it.
  */
-function createIconEl(rawText, base = ICON_BASE, ext = ICON_EXT) {
-  const url = getIconUrlForText(rawText, base, ext);
-  if (!url) return null;
+function createIconElForKey(key) {
+  const icon = resolveIcon(key);
+  if (!icon) return null;
 
   const span = document.createElement('span');
   span.className = 'icon-wrap';
+  const alt = key.replace(/_/g, ' '); // the matched key names the picture
+
+  if (icon.id){
+    const svg = document.createElementNS(SVG_NS, 'svg');
+    svg.setAttribute('viewBox', document.getElementById(icon.id)?.getAttribute('viewBox') || '0 0 24 24');
+    svg.setAttribute('role', 'img');
+    svg.setAttribute('aria-label', alt);
+    svg.dataset.symbol = icon.id;
+    const use = document.createElementNS(SVG_NS, 'use');
+    use.setAttribute('href', `#${icon.id}`);
+    svg.appendChild(use);
+    span.appendChild(svg);
+    return span;
+  }
+
   const img = document.createElement('img');
   img.decoding = 'async';
   img.loading = 'lazy';
-  img.alt = '';
-  img.src = url;
+  img.alt = alt;
+  img.src = icon.url;
 
   // If file doesn't exist, just remove the wrapper quietly
   img.onerror = () => span.remove();
@@ -198,378 +545,1837 @@ function createIconEl(rawText, base = ICON_BASE, ext = ICON_EXT) {
   return span;
 }
 
+function createIconEl(rawText) {
+  return createIconElForKey(pickIconKeySmart(rawText));
+}
+
+/**
+ * html2canvas can't follow <use> into the page's sprite, so swap each
+ * sprite icon in the snapshot clone for the symbol as an SVG image.
+ */
+function inlineSpriteIcons(root){
+  for (const svg of root.querySelectorAll('.icon-wrap svg[data-symbol]')){
+    const url = spriteDataUrl(svg.dataset.symbol);
+    if (!url) continue;
+    const img = root.ownerDocument.createElement('img');
+    img.alt = '';
+    img.src = url;
+    svg.replaceWith(img);
+  }
+}
+
+/**
+ * html2canvas paints checkbox inputs its own way (grey, square), so the
+ * snapshot clone gets the plain .cb box; li.checked still draws the tick.
+ */
+function flattenCheckboxes(root){
+  for (const input of root.querySelectorAll('input.cb')){
+    const box = root.ownerDocument.createElement('span');
+    box.className = 'cb';
+    input.replaceWith(box);
+  }
+}
+
 /* =========================
-   Parsing Markdown-ish input
+   Importers (list formats)
+   - Each importer: { name, detect(src) -> 0..1, parse(src) -> model,
+     writeBack?(src, lines) -> src }
+   - parseList() runs the most confident one; add new formats to IMPORTERS
+   - Models are { title, format, sections:[{ name, items }] } with items
+     { text, checked, line, depth, parent? } (`parent` = the parent's line)
 ========================= */
 const re = {
-  atx:            /^\s*(#{1,6})\s+(.*)\s*$/,
-  mdUnchecked:    /^\s*[-*+]\s*\[\s\]\s+(.*)$/,
-  mdChecked:      /^\s*[-*+]\s*\[[xX]\]\s+(.*)$/,
-  yourChecked:    /^\s*✓\s+(.*)$/,
-  yourUnchecked:  /^\s*◦\s+(.*)$/,
-  fallbackBullet: /^\s*[-*+]\s+(.*)$/
+  atx:    /^\s*(#{1,6})\s+(.*)\s*$/,
+  setext: /^\s*(?:={2,}|-{2,})\s*$/,                    // underline of a Setext heading
+  rule:   /^\s*(?:(?:-\s*){3,}|(?:\*\s*){3,}|(?:_\s*){3,})$/, // --- *** ___
+  bullet: /^(\s*)(?:[-*+•▪‣●]|\d{1,3}[.)])(?:\s+|(?=\[[\sxX]\]\s))(.*)$/, // "- ", "• ", "1. ", "2) ", "-[ ]"
+  box:    /^\[([\sxX])\]\s+(.*)$/,                       // "[ ] " / "[x] " (after a bullet)
+  mark:   /^([☐☑☒✓✔✅◦○])\s+(.*)$/                       // Notes/Reminders style marks
 };
+const CHECKED_MARKS = new Set(['☑', '☒', '✓', '✔', '✅']);
+const MARK_TOGGLE = { '☐': '☑', '☑': '☐', '☒': '☐', '✔': '☐', '✅': '☐', '◦': '✓', '○': '✓', '✓': '◦' };
+// Apple Notes pads these marks unevenly, so their indentation never means nesting
+const FLAT_MARKS = new Set(['◦', '✓', '○']);
+
+/**
+ * Read one line as an item: { indent, checked, text, nests } or null.
+ * An optional bullet or number, then an optional [ ]/[x] box or mark.
+ */
+function matchItem(line){
+  const b = line.match(re.bullet);
+  const indent = (b ? b[1] : line.match(/^\s*/)[0]).replace(/\t/g, '    ').length;
+  const rest = b ? b[2] : line.trim();
+  let m;
+  if ((m = rest.match(re.box))) return { indent, checked: /x/i.test(m[1]), text: m[2], nests: true };
+  if ((m = rest.match(re.mark))) return { indent, checked: CHECKED_MARKS.has(m[1]), text: m[2], nests: !!b || !FLAT_MARKS.has(m[1]) };
+  return b ? { indent, checked: false, text: rest, nests: true } : null;
+}
 
+/**
+ * Parse Markdown-ish text into { title, sections:[{ name, items }] }.
+ * Every item is kept, checked or not: { text, checked, line } where `line`
+ * is the 1-based source line (used to write check marks back). An item
+ * indented under another becomes its sub-item (`depth`, `parent`).
+ */
 function parseMarkdownList(src){
   const lines = src.split(/\r?\n/);
   let title=null; const sections=[]; let currentSection=null;
-  function ensureSection(name){ currentSection={name:name.trim(),items:[]}; sections.push(currentSection); }
-  for(const raw of lines){
-    const line = raw.replace(/\s+$/,'');
+  let parents=[]; // open items that deeper lines can nest under
+  function ensureSection(name){ currentSection={name:name.trim(),items:[]}; sections.push(currentSection); parents=[]; }
+  const heading = (level, text) => { if(level===1 && !title){ title=text; } else { ensureSection(text); } };
+  for(let i=0;i<lines.length;i++){
+    const line = lines[i].replace(/\s+$/,'');
     if(!line.trim()) continue;
 
     const mAtx = line.match(re.atx);
-    if(mAtx){
-      const level=mAtx[1].length; const text=mAtx[2].trim();
-      if(level===1 && !title){ title=text; } else { ensureSection(text); }
+    if(mAtx){ heading(mAtx[1].length, mAtx[2].trim()); continue; }
+    if(re.rule.test(line)) continue;
+
+    const item = matchItem(line);
+    if(item){
+      if(!currentSection){ ensureSection('Items'); currentSection.ungrouped = true; }
+      while(parents.length && parents[parents.length-1].indent >= item.indent) parents.pop();
+      const parent = item.nests ? parents[parents.length-1] : null;
+      const entry = { text: item.text.trim(), checked: item.checked, line: i + 1, depth: parent ? parent.depth + 1 : 0 };
+      if(parent) entry.parent = parent.line;
+      currentSection.items.push(entry);
+      if(item.nests) parents.push({ indent: item.indent, line: entry.line, depth: entry.depth });
+      else parents = [];
       continue;
     }
 
-    let isItem=false, checked=false, text="", m;
-    if((m=line.match(re.mdChecked)))          { isItem=true; checked=true;  text=m[1]; }
-    else if((m=line.match(re.mdUnchecked)))   { isItem=true; checked=false; text=m[1]; }
-    else if((m=line.match(re.yourChecked)))   { isItem=true; checked=true;  text=m[1]; }
-    else if((m=line.match(re.yourUnchecked))) { isItem=true; checked=false; text=m[1]; }
-    else if((m=line.match(re.fallbackBullet))){ isItem=true; checked=false; text=m[1]; }
-
-    if(isItem){
-      if(!currentSection) ensureSection('Items');
-      if(!checked) currentSection.items.push(text.trim());
-      continue;
-    }
+    // Setext: a line underlined with === (level 1) or --- (level 2)
+    if(re.setext.test(lines[i+1] || '')){ heading(lines[i+1].trim()[0]==='=' ? 1 : 2, line.trim()); i++; continue; }
 
     if(!title){ title=line.trim(); } else { ensureSection(line.trim()); }
   }
   return { title: title||'List', sections: sections.filter(s=>s.items.length>0) };
 }
 
-/* =========================
-   Quadrant flow (screen)
-========================= */
-// Replaces the previous version with one that uses print-true geometry
-// to pack against the *print* geometry (Letter page + CSS vars),
-// so the on-screen packing matches what will print.
-// This version uses a row-major flow (TL -> TR -> BL -> BR).
-
-async function flowIntoQuadrants(sections){
-  await new Promise(r => requestAnimationFrame(()=>requestAnimationFrame(r)));
-
-  // ---- Print-true geometry ----
-  const mmToPx = (mm)=> mm * (96/25.4);
-  const css = getComputedStyle(document.documentElement);
-
-  const mTop    = parseFloat(css.getPropertyValue('--print-margin-top'))    || 0;
-  const mRight  = parseFloat(css.getPropertyValue('--print-margin-right'))  || 0;
-  const mBottom = parseFloat(css.getPropertyValue('--print-margin-bottom')) || 0;
-  const mLeft   = parseFloat(css.getPropertyValue('--print-margin-left'))   || 0;
-  const gutter  = parseFloat(css.getPropertyValue('--fold-gutter'))         || 0;
-  const title   = parseFloat(css.getPropertyValue('--title-block'))         || 0;
-
-  // convert --section-gap (likely rem) to px
-  const gapVar = (css.getPropertyValue('--section-gap') || '').trim();
-  const rootFontPx = parseFloat(getComputedStyle(document.documentElement).fontSize) || 16;
-  let sectionGapPx = 0;
-  if (gapVar.endsWith('rem')) sectionGapPx = parseFloat(gapVar) * rootFontPx;
-  else if (gapVar.endsWith('px')) sectionGapPx = parseFloat(gapVar);
-  else if (gapVar) sectionGapPx = parseFloat(gapVar) || 0; // fallback
-
-  const pageW = 816, pageH = 1056; // Letter @ 96dpi
-  const contentW = pageW - mmToPx(mLeft) - mmToPx(mRight);
-  const contentH = pageH - mmToPx(mTop)  - mmToPx(mBottom);
-
-  const colGap = mmToPx(gutter);
-  const rowGap = mmToPx(gutter);
-
-  // A more robust width calculation that guarantees content fits
-  const quadW = (contentW - colGap) / 2 - 1.5;
-
-  // Calculate the raw height of a quadrant
-  const quadRawH = Math.floor((contentH - rowGap) / 2 - 1.5);
-
-  // The available height for the content in each quadrant,
-  // with a slight reduction for the TR and TL quadrants to prevent overflow.
-  const TL_HEIGHT_REDUCTION = 4;
-  const TR_HEIGHT_REDUCTION = 14; // User's suggested fix for better overflow prevention
-  const quadHeights = [
-    quadRawH - TL_HEIGHT_REDUCTION,
-    quadRawH - TR_HEIGHT_REDUCTION,
-    quadRawH,
-    quadRawH
-  ];
-
-  // ---- Offscreen measurer matching list styles ----
-  const out = document.getElementById('out') || document.body;
-  const measurer = document.createElement('div');
-  measurer.style.visibility = 'hidden';
-  measurer.style.position = 'absolute';
-  measurer.style.left = '-99999px';
-  out.appendChild(measurer);
-
-  const measureSection = (name, items) => {
-    measurer.innerHTML = '';
-    const sec = document.createElement('section'); sec.className = 'section';
-    const h2  = document.createElement('h2'); h2.textContent = name; sec.appendChild(h2);
-    const ul  = document.createElement('ul'); ul.className = 'items';
-    for(const txt of items){
-      const li = document.createElement('li'); li.className = 'item';
-      const cb = document.createElement('span'); cb.className = 'cb'; cb.setAttribute('aria-hidden','true');
-      const label = document.createElement('span'); label.className = 'item-label'; label.textContent = txt;
-      li.appendChild(cb); li.appendChild(label); ul.appendChild(li);
-    }
-    sec.appendChild(ul);
-    measurer.appendChild(sec);
-    sec.style.width = quadW + 'px';          // wrap like a real column
-    return sec.offsetHeight;                   // NOTE: margins are NOT included
-  };
-
-  // ---- Height-aware packing (row-major) with section-gap accounted ----
-  const result = [[],[],[],[]];
-
-  let step = 0;
-  const order = [0,1,2,3]; // TL, TR, BL, BR
-  let q = order[step];
-  let usedH = 0;
-  let countInQuadrant = 0;
+/**
+ * Plain text: one item per line, no bullets. "Name:" starts a section and a
+ * first line followed by a blank line is the title; # headings still work.
+ */
+function parsePlainList(src){
+  const lines = src.split(/\r?\n/);
+  let title=null; const sections=[]; let currentSection=null;
+  function ensureSection(name){ currentSection={name:name.trim(),items:[]}; sections.push(currentSection); }
+  const first = lines.findIndex(l => l.trim());
+  lines.forEach((raw, i) => {
+    const line = raw.trim();
+    if(!line) return;
+    const mAtx = line.match(re.atx);
+    if(mAtx){ if(mAtx[1].length===1 && !title) title=mAtx[2].trim(); else ensureSection(mAtx[2]); return; }
+    if(i === first && !(lines[i+1] || '').trim()){ title=line; return; }
+    if(line.endsWith(':')){ ensureSection(line.slice(0, -1)); return; }
+    if(!currentSection){ ensureSection('Items'); currentSection.ungrouped = true; }
+    currentSection.items.push({ text: line, checked: false, line: i + 1, depth: 0 });
+  });
+  return { title: title||'List', sections: sections.filter(s=>s.items.length>0) };
+}
 
-  const advance = () => {
-    step = Math.min(step + 1, 3);
-    q = order[step];
-    usedH = 0;
-    countInQuadrant = 0;
+/* ---- CSV (e.g. Reminders/Sheets exports): item, section, checked ---- */
+const CSV_COLUMNS = {
+  item:    ['item', 'name', 'title', 'reminder', 'task', 'product'],
+  section: ['section', 'list', 'category', 'aisle', 'heading', 'group'],
+  checked: ['checked', 'done', 'completed', 'complete', 'status']
+};
+const CSV_TRUE = /^(?:x|y|yes|true|1|done|completed?|checked|[✓✔☑])$/i;
+const CSV_FALSE = /^(?:|n|no|false|0|todo|open|pending|[☐◦○])$/i;
+
+// Split CSV text into rows of cells (quotes, "" escapes, quoted newlines) with their first line
+function parseCsvRows(src, delim){
+  const rows = [];
+  let row = [], cell = '', quoted = false, line = 1, rowLine = 1;
+  const endRow = () => {
+    row.push(cell);
+    if (row.some(c => c.trim())) rows.push({ cells: row.map(c => c.trim()), line: rowLine });
+    row = []; cell = '';
   };
+  for (let i = 0; i < src.length; i++){
+    const ch = src[i];
+    if (quoted){
+      if (ch === '"' && src[i + 1] === '"'){ cell += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else { if (ch === '\n') line++; cell += ch; }
+    } else if (ch === '"' && !cell.trim()) { quoted = true; cell = ''; }
+    else if (ch === delim){ row.push(cell); cell = ''; }
+    else if (ch === '\n'){ endRow(); line++; rowLine = line; }
+    else if (ch !== '\r') cell += ch;
+  }
+  endRow();
+  return rows;
+}
 
-  const epsilon = 1; // safety margin
+// Delimiter and column layout of a CSV source, or null if it isn't one
+function readCsvLayout(src){
+  const firstLine = src.split(/\r?\n/).find(l => l.trim()) || '';
+  const delim = [',', '\t', ';'].sort((a, b) => firstLine.split(b).length - firstLine.split(a).length)[0];
+  if (firstLine.split(delim).length < 2) return null;
+  const rows = parseCsvRows(src, delim);
+  const head = rows[0].cells.map(c => c.toLowerCase());
+  const find = (names) => head.findIndex(c => names.includes(c));
+  const cols = { item: find(CSV_COLUMNS.item), section: find(CSV_COLUMNS.section), checked: find(CSV_COLUMNS.checked) };
+  const hasHeader = Object.values(cols).some(i => i >= 0);
+  if (!hasHeader) Object.assign(cols, { item: 0, section: 1, checked: 2 });
+  else if (cols.item < 0) cols.item = 0;
+  return { delim, rows: hasHeader ? rows.slice(1) : rows, header: hasHeader ? rows[0] : null, hasHeader, cols };
+}
 
-  for (const section of sections){
-    const tryPlaceWhole = () => {
-      const h = measureSection(section.name, section.items);
-      const gap = countInQuadrant > 0 ? sectionGapPx : 0;
-      let availableH = quadHeights[q] - usedH - epsilon;
-      // Subtract title height ONLY for the first section in the first quadrant
-      if (q === 0 && countInQuadrant === 0) availableH -= mmToPx(title);
-      return (h + gap) <= availableH ? { ok:true, h:h+gap } : { ok:false, h };
-    };
+function parseCsvList(src){
+  const layout = readCsvLayout(src);
+  const sections = new Map();
+  for (const { cells, line } of layout?.rows || []){
+    const text = cells[layout.cols.item];
+    if (!text) continue;
+    const name = cells[layout.cols.section] || '';
+    if (!sections.has(name)) sections.set(name, { name: name || 'Items', items: [], ...(name ? {} : { ungrouped: true }) });
+    sections.get(name).items.push({ text, checked: CSV_TRUE.test(cells[layout.cols.checked] || ''), line, depth: 0 });
+  }
+  return { title: 'List', sections: [...sections.values()] };
+}
 
-    // Attempt to place whole section
-    let attempt = tryPlaceWhole();
-    if (attempt.ok){
-      if (countInQuadrant > 0) usedH += sectionGapPx;
-      result[q].push({ name: section.name, items: section.items.slice() });
-      usedH += (attempt.h - (countInQuadrant > 0 ? sectionGapPx : 0)); // add pure section height after adding gap
-      countInQuadrant++;
-      continue;
-    }
+/**
+ * Flip the checked column of tapped rows, in the words the file already uses.
+ * A file without one gets a "checked" column (only tapped rows fill it in).
+ */
+function writeBackCsv(src, tapped){
+  const layout = readCsvLayout(src);
+  if (!layout || !tapped.size) return src;
+  const quote = (c) => /[",\t;\n]/.test(c) ? `"${c.replace(/"/g, '""')}"` : c;
+  const lines = src.split(/\r?\n/);
 
-    // Split across quadrants
-    let start = 0, part = 1;
-    while (start < section.items.length && step < 4){
-      let currH = quadHeights[q];
-      // Subtract title height ONLY for the first section in the first quadrant
-      if (q === 0 && countInQuadrant === 0) currH -= mmToPx(title);
-
-      // Binary search: largest slice that fits, considering the gap if needed
-      let lo = 1, hi = section.items.length - start, bestN = 0, bestTotalH = 0, bestPureH = 0;
-      while (lo <= hi){
-        const mid = (lo + hi) >> 1;
-        const slice = section.items.slice(start, start + mid);
-        const name = (start === 0 && part === 1) ? section.name : `${section.name} (cont.)`;
-        const pureH = measureSection(name, slice);
-        const totalH = pureH + (countInQuadrant > 0 ? sectionGapPx : 0);
-        if (totalH <= (currH - usedH - epsilon)){
-          bestN = mid; bestTotalH = totalH; bestPureH = pureH; lo = mid + 1;
-        } else {
-          hi = mid - 1;
-        }
-      }
+  let col = layout.cols.checked;
+  if (col < 0 && layout.header){
+    col = layout.header.cells.length;
+    lines[layout.header.line - 1] = [...layout.header.cells, 'checked'].map(quote).join(layout.delim);
+  }
+  const used = layout.rows.map(r => r.cells[col] || '').join(' ');
+  const [yes, no] = /\b(?:true|false)\b/i.test(used) ? ['true', 'false']
+    : /\b(?:yes|no)\b/i.test(used) ? ['yes', 'no']
+    : /\b[01]\b/.test(used) ? ['1', '0'] : ['x', ''];
+
+  for (const { cells, line } of layout.rows){
+    if (!tapped.has(line)) continue;
+    const next = Array.from({ length: Math.max(cells.length, col + 1) }, (_, i) => cells[i] ?? '');
+    next[col] = CSV_TRUE.test(cells[col] || '') ? no : yes;
+    lines[line - 1] = next.map(quote).join(layout.delim);
+  }
+  return lines.join('\n');
+}
 
-      if (bestN > 0){
-        const name = (start === 0 && part === 1) ? section.name : `${section.name} (cont.)`;
-        if (countInQuadrant > 0) { usedH += sectionGapPx; }
-        result[q].push({ name, items: section.items.slice(start, start + bestN) });
-        usedH += bestPureH;
-        start += bestN;
-        part++;
-        countInQuadrant++;
-
-        if (start < section.items.length){
-          if (step >= 3) break;
-          advance();
-        }
-      } else {
-        // Nothing fits here; advance quadrant
-        if (step >= 3) break;
-        advance();
+const IMPORTERS = [
+  {
+    name: 'csv',
+    detect: (src) => {
+      const layout = readCsvLayout(src);
+      if (!layout) return 0;
+      if (layout.hasHeader) return 1;
+      // Without a header, "milk, 2%" is still plain text: it takes item,
+      // section and a third column that reads as checked / not checked
+      const widths = new Set(layout.rows.map(r => r.cells.length));
+      const third = layout.rows.map(r => r.cells[2]);
+      return layout.rows.length > 1 && widths.size === 1 && [...widths][0] >= 3
+        && third.every(c => CSV_TRUE.test(c) || CSV_FALSE.test(c)) ? 0.6 : 0;
+    },
+    parse: parseCsvList,
+    writeBack: writeBackCsv
+  },
+  {
+    name: 'markdown',
+    detect: (src) => src.split(/\r?\n/).some(l => matchItem(l)) ? 0.8 : 0.2,
+    parse: parseMarkdownList,
+    writeBack: (src, tapped) => {
+      const lines = src.split(/\r?\n/);
+      for (const n of tapped){
+        const line = lines[n - 1];
+        if (line != null) lines[n - 1] = setLineChecked(line, !lineIsChecked(line));
       }
+      return lines.join('\n');
     }
-
-    if (step >= 3 && usedH >= quadHeights[q]) break;
+  },
+  {
+    name: 'plain',
+    detect: (src) => src.split(/\r?\n/).filter(l => l.trim()).length > 1 && !src.split(/\r?\n/).some(l => matchItem(l)) ? 0.5 : 0,
+    parse: parsePlainList
   }
+];
 
-  out.removeChild(measurer);
-  return result;
+function pickImporter(src){
+  const scored = IMPORTERS.map(imp => ({ imp, score: imp.detect(src) }));
+  return scored.reduce((best, s) => (s.score > best.score ? s : best)).imp;
+}
+
+/** Parse any supported format into the list model (see IMPORTERS). */
+function parseList(src){
+  const importer = pickImporter(src);
+  return { ...importer.parse(src), format: importer.name };
 }
 
 /* =========================
-   Render (screen)
+   Item details (after parsing)
+   - "2x eggs", "beef 3 lb", "Eggs (30 tray)" -> quantity + unit
+   - "(CHECK DATE)", "[ripe ones]" -> note
+   - "(Charmin)" -> brand (known brands or Title Case in brackets)
+   - What's left is the product name; icon matching only sees that
 ========================= */
-async function renderQuadrants(model){
-  const out = document.getElementById('out'); out.innerHTML = '';
+const QTY_NUM  = String.raw`(\d+(?:[.,]\d+)?|\d+\/\d+|[½¼¾⅓⅔])`;
+const QTY_UNIT = String.raw`(lbs?|pounds?|kgs?|kilos?|g|gr|grams?|oz|ounces?|ml|l|lt|litres?|liters?|gal|gallons?|qt|quarts?|pt|pints?|packs?|pk|pkgs?|ct|count|dozen|doz|cans?|bags?|box(?:es)?|bottles?|jars?|bunch(?:es)?|loaf|loaves|trays?|cartons?|rolls?)`;
+
+const reQty = {
+  // "2x eggs", "x4 milk", "3 lb beef", "500 g rice", "2 bananas"
+  lead:  new RegExp(String.raw`^(?:[x×]\s*${QTY_NUM}|${QTY_NUM}\s*[x×]|${QTY_NUM}\s*${QTY_UNIT}\.?|${QTY_NUM})\s+(.+)$`, 'i'),
+  // "eggs x2", "eggs 2x", "beef 3 lb", "rice 500g" (a bare trailing number is too ambiguous)
+  trail: new RegExp(String.raw`^(.+?)\s+(?:[x×]\s*${QTY_NUM}|${QTY_NUM}\s*[x×]|${QTY_NUM}\s*${QTY_UNIT}\.?)$`, 'i'),
+  // "(30 tray)", "(2 lb)", "(x3)"
+  inner: new RegExp(String.raw`^(?:[x×]\s*${QTY_NUM}|${QTY_NUM}\s*[x×]?\s*(?:${QTY_UNIT}\.?)?)$`, 'i'),
+  bracket: /\(([^()]*)\)|\[([^[\]]*)\]/g
+};
 
-  const title = document.createElement('div');
-  title.className='list-title';
-  title.textContent = model.title;
-  out.appendChild(title);
+const UNIT_ALIASES = {
+  lbs:'lb', pound:'lb', pounds:'lb', kgs:'kg', kilo:'kg', kilos:'kg', gr:'g', gram:'g', grams:'g',
+  ounce:'oz', ounces:'oz', lt:'l', litre:'l', litres:'l', liter:'l', liters:'l',
+  gallon:'gal', gallons:'gal', quart:'qt', quarts:'qt', pint:'pt', pints:'pt',
+  pk:'pack', packs:'pack', pkg:'pack', pkgs:'pack', count:'ct', doz:'dozen',
+  cans:'can', bags:'bag', boxes:'box', bottles:'bottle', jars:'jar', bunches:'bunch',
+  loaves:'loaf', trays:'tray', cartons:'carton', rolls:'roll'
+};
 
-  if(model.sections.length===0){
-    const p=document.createElement('div');
-    p.className='empty-note';
-    p.textContent='All items are checked. Nothing left to buy 🎉';
-    out.appendChild(p);
-    return;
-  }
+const FRACTIONS = { '½':0.5, '¼':0.25, '¾':0.75, '⅓':1/3, '⅔':2/3 };
 
-  const grid = document.createElement('div'); grid.className='grid4'; out.appendChild(grid);
-  const quads = await flowIntoQuadrants(model.sections);
+function parseQtyNumber(s){
+  if (FRACTIONS[s] != null) return FRACTIONS[s];
+  if (s.includes('/')) { const [a, b] = s.split('/').map(Number); return b ? a / b : NaN; }
+  return parseFloat(s.replace(',', '.'));
+}
 
-  for(let q=0;q<4;q++){
-    const box = document.createElement('div'); box.className='quad'; grid.appendChild(box);
-    for(const section of quads[q]){
-      const sec = document.createElement('section'); sec.className='section';
-      const h = document.createElement('h2'); h.textContent = section.name; sec.appendChild(h);
-      const ul = document.createElement('ul'); ul.className='items';
-      for(const rawItem of section.items){
-        const item = rawItem.trim();
-        const li=document.createElement('li'); li.className='item';
-        const cb=document.createElement('span'); cb.className='cb'; cb.setAttribute('aria-hidden','true');
+// First non-empty capture group among `from`..`to` (alternation leaves the rest undefined)
+function firstGroup(m, from, to){
+  for (let i = from; i <= to; i++) if (m[i] != null) return m[i];
+  return null;
+}
 
-        const label=document.createElement('span'); label.className='item-label';
-        label.textContent=item;
+function toQty(m, numGroups, unitGroups){
+  const qty = parseQtyNumber(firstGroup(m, numGroups[0], numGroups[1]));
+  if (!isFinite(qty)) return null;
+  const raw = unitGroups ? firstGroup(m, unitGroups[0], unitGroups[1]) : null;
+  const unit = raw ? (UNIT_ALIASES[raw.toLowerCase()] || raw.toLowerCase()) : null;
+  return { qty, unit };
+}
 
-        const iconEl = createIconEl(item);
-        if (iconEl) {
-          label.appendChild(iconEl);
-        }
+// Title Case (each word capitalized) but not SHOUTING -> probably a brand
+function looksLikeBrand(s){
+  const words = s.trim().split(/\s+/);
+  return s !== s.toUpperCase()
+    && words.every(w => /^[A-Z0-9][\w'’&.-]*$/.test(w));
+}
 
-        li.appendChild(cb);
-        li.appendChild(label);
-        ul.appendChild(li);
-      }
-      sec.appendChild(ul); box.appendChild(sec);
+/**
+ * Split an item's text into { name, qty, unit, note, brand }.
+ * qty is a number (or null); unit, note and brand are strings (or null).
+ */
+function parseItemDetails(text){
+  let name = String(text).trim();
+  let qty = null, unit = null;
+  const notes = [], brands = [];
+
+  // Bracketed groups: quantity, brand or free-form note
+  name = name.replace(reQty.bracket, (_, paren, square) => {
+    const inner = (paren ?? square).trim();
+    if (!inner) return ' ';
+    const m = inner.match(reQty.inner);
+    if (m && qty == null){
+      const q = toQty(m, [1, 2], [3, 3]);
+      if (q){ ({ qty, unit } = q); return ' '; }
     }
+    if (paren != null && (BRANDS.has(inner.toLowerCase()) || looksLikeBrand(inner))) brands.push(inner);
+    else notes.push(inner);
+    return ' ';
+  }).replace(/\s+/g, ' ').trim();
+
+  // Leading / trailing quantity
+  let m;
+  if (qty == null && (m = name.match(reQty.lead))){
+    const q = toQty(m, [1, 5], [4, 4]);
+    if (q){ ({ qty, unit } = q); name = m[6].trim(); }
   }
+  if (qty == null && (m = name.match(reQty.trail))){
+    const q = toQty(m, [2, 4], [5, 5]);
+    if (q){ ({ qty, unit } = q); name = m[1].trim(); }
+  }
+
+  return {
+    name: name || String(text).trim(),
+    qty, unit,
+    note:  notes.length  ? notes.join('; ')  : null,
+    brand: brands.length ? brands.join(', ') : null
+  };
 }
 
-function filterNow(){
-  const src = document.getElementById('src').value || '';
-  const model = parseMarkdownList(src);
-  renderQuadrants(model);
+// Badge text for a quantity: "3 lb", "×2"
+function formatQty(item){
+  if (item.qty == null) return '';
+  const n = Math.round(item.qty * 100) / 100;
+  return item.unit ? `${n} ${item.unit}` : `×${n}`;
+}
+
+/** Add parsed details to every item of a parsed model (in place). */
+function parseItems(model){
+  for (const section of model.sections){
+    for (const item of section.items) Object.assign(item, parseItemDetails(item.text));
+  }
+  return model;
 }
 
 /* =========================
-   PDF (simple snapshot of #out)
-   — your CSS already handles the print grid & gutters
+   Quadrant flow (screen)
 ========================= */
-function mmToPx(mm){ return mm * (96/25.4); }
-
-function enterPdfMode(outEl){
-  const root = getComputedStyle(document.documentElement);
-  const mTop    = parseFloat(root.getPropertyValue('--print-margin-top'))    || 0;
-  const mRight  = parseFloat(root.getPropertyValue('--print-margin-right'))  || 0;
-  const mBottom = parseFloat(root.getPropertyValue('--print-margin-bottom')) || 0;
-  const mLeft   = parseFloat(root.getPropertyValue('--print-margin-left'))   || 0;
-  const gutter  = parseFloat(root.getPropertyValue('--fold-gutter'))         || 0;
-  const title   = parseFloat(root.getPropertyValue('--title-block'))         || 0;
-
-  const pageW = 816;  // 8.5in * 96dpi
-  const pageH = 1056; // 11in  * 96dpi
-
-  const contentW = pageW - mmToPx(mLeft) - mmToPx(mRight);
-  const contentH = pageH - mmToPx(mTop)  - mmToPx(mBottom);
-
-  const grid = outEl.querySelector('.grid4');
-  outEl.style.width  = pageW + 'px';
-  outEl.style.height = pageH + 'px';
-  outEl.style.boxSizing = 'content-box';
-  outEl.style.padding = `${mmToPx(mTop)}px ${mmToPx(mRight)}px ${mmToPx(mBottom)}px ${mmToPx(mLeft)}px`;
-
-  // Apply print-like grid metrics
-  grid.style.display = 'grid';
-  grid.style.columnGap = mmToPx(gutter) + 'px';
-  grid.style.rowGap    = mmToPx(gutter) + 'px';
-  grid.style.gridTemplateColumns =
-    `calc(50% - ${mmToPx(gutter)/2}px) calc(50% - ${mmToPx(gutter)/2}px)`;
-  const rowsH = (contentH - mmToPx(gutter) - mmToPx(title)) / 2;
-  grid.style.gridTemplateRows = `${rowsH}px ${rowsH}px`;
+// Packing itself lives in layout.js (PrintLayout, DOM-free). This part owns
+// the one geometry model that packing, the PDF sheet and the post-render
+// check all share: page box and margins come from CSS vars, while the title,
+// cell padding and section gaps are measured from a real offscreen sheet.
+// The grid comes from the chosen layout template (PrintLayout.LAYOUTS, 2×2
+// quadrants by default) and is filled row- or column-major, continuing onto
+// additional pages once every cell is full.
 
-  return () => {
-    // revert
-    outEl.style.width = outEl.style.height = outEl.style.padding = outEl.style.boxSizing = '';
-    grid.style.columnGap = grid.style.rowGap = grid.style.gridTemplateColumns = grid.style.gridTemplateRows = '';
+/**
+ * Measure the layout geometry for a list titled `titleText`.
+ * Lays out a hidden sheet the size of the chosen paper (PAGE_BOX) with the
+ * real classes and reads back the rendered title block, cell padding and
+ * section spacing.
+ */
+function measureLayoutGeometry(titleText){
+  const css = getComputedStyle(document.documentElement);
+  const mm = (name) => PrintLayout.mmToPx(parseFloat(css.getPropertyValue(name)) || 0);
+
+  const { w: pageW, h: pageH } = PAGE_BOX; // chosen paper @ 96dpi
+  const margins = {
+    top:    mm('--print-margin-top'),
+    right:  mm('--print-margin-right'),
+    bottom: mm('--print-margin-bottom'),
+    left:   mm('--print-margin-left')
+  };
+  const gutter = mm('--fold-gutter');
+
+  // ---- Offscreen probe sheet ----
+  const probe = document.createElement('div');
+  probe.className = 'sheet';
+  probe.style.cssText = 'visibility:hidden;position:absolute;left:-99999px;top:0;box-sizing:border-box;margin:0;border:0;';
+  probe.style.width = pageW + 'px';
+  probe.style.padding = `${margins.top}px ${margins.right}px ${margins.bottom}px ${margins.left}px`;
+
+  const title = document.createElement('div');
+  title.className = 'list-title';
+  title.textContent = titleText;
+  probe.appendChild(title);
+
+  const { cols } = LAYOUT.def;
+  const grid = document.createElement('div'); grid.className = 'grid';
+  grid.style.display = 'grid';
+  grid.style.gridTemplateColumns = `${(pageW - margins.left - margins.right - gutter * (cols - 1)) / cols}px`;
+  const cell = document.createElement('div'); cell.className = 'cell';
+  const secA = document.createElement('section'); secA.className = 'section';
+  const secB = document.createElement('section'); secB.className = 'section';
+  for (const sec of [secA, secB]){
+    const h2 = document.createElement('h2'); h2.textContent = 'M';
+    sec.appendChild(h2);
+    cell.appendChild(sec);
+  }
+  grid.appendChild(cell);
+  probe.appendChild(grid);
+  (document.getElementById('out') || document.body).appendChild(probe);
+
+  // Title block = everything between the sheet's top padding and the grid
+  const titleH = grid.getBoundingClientRect().top - title.getBoundingClientRect().top;
+
+  const cs = getComputedStyle(cell);
+  const px = (v) => parseFloat(v) || 0;
+  const cellPad = {
+    top:    px(cs.paddingTop)    + px(cs.borderTopWidth),
+    right:  px(cs.paddingRight)  + px(cs.borderRightWidth),
+    bottom: px(cs.paddingBottom) + px(cs.borderBottomWidth),
+    left:   px(cs.paddingLeft)   + px(cs.borderLeftWidth)
   };
+  const cellRect = cell.getBoundingClientRect();
+  const aRect = secA.getBoundingClientRect();
+  const bRect = secB.getBoundingClientRect();
+  const leadGap = aRect.top - (cellRect.top + cellPad.top);
+  const sectionGap = bRect.top - aRect.bottom;
+
+  probe.remove();
+
+  return PrintLayout.pageGeometry({
+    pageW, pageH, margins, gutter, titleH, cellPad, leadGap, sectionGap,
+    layout: LAYOUT.def, fill: LAYOUT.fill, continued: t('cont')
+  });
 }
 
-async function generatePDF(){
-  const outEl = document.getElementById('out');
-  if (!outEl) return;
+/**
+ * DOM adapter for PrintLayout: an offscreen measurer matching list styles.
+ * Returns { measure(section, width), dispose() }.
+ */
+function createDomMeasurer(host){
+  const measurer = document.createElement('div');
+  measurer.style.visibility = 'hidden';
+  measurer.style.position = 'absolute';
+  measurer.style.left = '-99999px';
+  host.appendChild(measurer);
 
-  // Ensure fonts & images are ready (crisper canvas)
-  if (document.fonts && document.fonts.ready) {
-    try { await document.fonts.ready; } catch {}
+  const measure = (section, width) => {
+    measurer.innerHTML = '';
+    measurer.appendChild(buildSectionEl(section));
+    const sec = measurer.firstChild;
+    sec.style.width = width + 'px';          // wrap like a real column
+    return sec.offsetHeight;                 // NOTE: margins are NOT included
+  };
+
+  return { measure, dispose: () => measurer.remove() };
+}
+
+function packIntoQuadrants(sections, geo){
+  const dom = createDomMeasurer(document.getElementById('out') || document.body);
+  const pack = LAYOUT.fill === 'balance' ? PrintLayout.packBalanced : PrintLayout.packSections;
+  try {
+    return pack(sections, geo, dom.measure);
+  } finally {
+    dom.dispose();
   }
-  const imgs = Array.from(outEl.querySelectorAll('img'));
-  await Promise.all(imgs.map(img => {
-    img.loading = 'eager';
-    return (img.decode ? img.decode() : Promise.resolve()).catch(()=>{});
-  }));
+}
 
-  // Let layout fully settle
-  await new Promise(r => requestAnimationFrame(()=>requestAnimationFrame(r)));
+/**
+ * Check the rendered sheets against the geometry they were packed for.
+ * Returns the worst overflow (px) per cell position (row-major); all zero
+ * means every cell fits.
+ */
+function measureOverflow(outEl, geo){
+  const over = geo.cellHeights.map(() => 0);
+  for (const sheet of outEl.querySelectorAll('.sheet')){
+    const exit = enterPdfMode(sheet, geo);
+    try {
+      sheet.querySelectorAll('.cell').forEach(cell => {
+        const i = Number(cell.dataset.cell);
+        const last = cell.lastElementChild;
+        if (!last) return;
+        const limit = cell.getBoundingClientRect().bottom - geo.cellPad.bottom;
+        over[i] = Math.max(over[i], Math.ceil(last.getBoundingClientRect().bottom - limit));
+      });
+    } finally {
+      exit();
+    }
+  }
+  return over;
+}
 
-  // Temporarily apply print geometry for the snapshot
-  const exit = enterPdfMode(outEl);
+/* =========================
+   Render (screen)
+========================= */
+function buildSectionEl(section){
+  const sec = document.createElement('section'); sec.className = section.done ? 'section done' : 'section';
+  if (section.color) { sec.classList.add('colored'); sec.style.setProperty('--section-color', section.color); }
+  const kids = kidsOn();
+  const h = document.createElement('h2'); h.textContent = section.name; sec.appendChild(h);
+  const ul = document.createElement('ul'); ul.className='items';
+  for(const entry of section.items){
+    const li=document.createElement('li'); li.className='item';
+    li.dataset.line = entry.line;
+    li.dataset.name = entry.name;
+    if (entry.copies) li.dataset.copies = entry.copies.map(c => `${c.line}:${c.checked ? 1 : 0}`).join(' ');
+    if (entry.checked) li.classList.add('checked');
+    if (entry.depth) { li.classList.add('sub'); li.style.setProperty('--depth', entry.depth); }
+    // A real checkbox, named by its label (quantity, name, note, icon)
+    const cb=document.createElement('input'); cb.type='checkbox'; cb.className='cb';
+    cb.id = `item-${entry.line}`;
+    cb.checked = !!entry.checked;
+
+    const label=document.createElement('label'); label.className='item-label'; label.htmlFor = cb.id;
+    const qty = formatQty(entry);
+    if (qty) {
+      const badge=document.createElement('span'); badge.className='qty'; badge.textContent=qty;
+      label.appendChild(badge);
+    }
+    const name=document.createElement('span'); name.className='item-name'; name.textContent=entry.name;
+    label.appendChild(name);
+    const extra = [entry.brand, entry.note].filter(Boolean).join(' · ');
+    if (extra) {
+      const note=document.createElement('span'); note.className='item-note'; note.textContent=extra;
+      label.appendChild(note);
+    }
 
-  // Choose a crisp-but-safe scale (avoid iOS memory blowups)
-  const isiOS = /\b(iPad|iPhone|iPod)\b/i.test(navigator.userAgent)
-    || (navigator.platform === 'MacIntel' && navigator.maxTouchPoints > 1);
+    const iconEl = createIconEl(entry.name) || (kids ? createLetterIcon(entry.name, letterColor(entry.name, section.color)) : null);
+    if (iconEl && kids) {
+      label.prepend(iconEl); // picture first
+    } else if (iconEl) {
+      label.appendChild(iconEl);
+    }
 
-  const pageCSSw = 816, pageCSSh = 1056;   // Letter @ 96dpi in CSS px
-  const maxPixels = isiOS ? 16e6 : 48e6;   // rough caps
-  let scale = isiOS ? 2 : 4;               // target crispness
+    li.appendChild(cb);
+    li.appendChild(label);
+    ul.appendChild(li);
+  }
+  sec.appendChild(ul);
+  return sec;
+}
 
-  while ((pageCSSw * pageCSSh * scale * scale) > maxPixels && scale > 1.5) {
-    scale -= 0.5;
+function renderSheets(out, title, pages, layout){
+  out.innerHTML = '';
+
+  // Items that did not fit on page 1 (screen-only warning, never printed)
+  const spilled = pages.slice(1).reduce((n, cells) =>
+    n + cells.reduce((m, cell) => m + cell.reduce((k, s) => k + s.items.length, 0), 0), 0);
+  if (spilled > 0){
+    const note = document.createElement('div');
+    note.className = 'overflow-note';
+    note.setAttribute('role', 'status');
+    note.textContent = t('overflow', { items: tn('overflow.items', spilled), pages: tn('overflow.pages', pages.length - 1) });
+    out.appendChild(note);
   }
 
-  const canvas = await html2canvas(outEl, {
-    backgroundColor: '#ffffff',
-    useCORS: true,
-    allowTaint: false,
-    imageTimeout: 0,
-    scale
+  pages.forEach((cells, pageIndex) => {
+    const sheet = document.createElement('div'); sheet.className='sheet'; out.appendChild(sheet);
+    if (pageIndex === 0){
+      const titleEl = document.createElement('div');
+      titleEl.className='list-title';
+      titleEl.textContent = title;
+      sheet.appendChild(titleEl);
+    }
+    const grid = document.createElement('div'); grid.className='grid'; sheet.appendChild(grid);
+    grid.style.setProperty('--cols', layout.cols);
+    grid.style.setProperty('--rows', layout.rows);
+
+    // Cells go into the DOM in fill order, so screen readers and keyboard
+    // focus follow the packer; each is placed on the grid explicitly
+    for (const i of PrintLayout.fillOrder(layout, LAYOUT.fill)){
+      const box = document.createElement('div'); box.className='cell'; grid.appendChild(box);
+      box.dataset.cell = i;
+      box.style.gridRow = Math.floor(i / layout.cols) + 1;
+      box.style.gridColumn = i % layout.cols + 1;
+      for(const section of cells[i]) box.appendChild(buildSectionEl(section));
+    }
   });
+}
 
-  // Revert temporary styles
-  exit();
+let _renderSeq = 0; // bumps on every render so a slower, older render can bail out
 
-  // Optional: helps tiny icons when downscaling
-  const ctx = canvas.getContext('2d');
-  if (ctx) ctx.imageSmoothingEnabled = false;
+function renderEmptySheet(out, titleText){
+  out.innerHTML = '';
+  const sheet = document.createElement('div'); sheet.className='sheet'; out.appendChild(sheet);
+  const title = document.createElement('div');
+  title.className='list-title';
+  title.textContent = titleText;
+  sheet.appendChild(title);
+  const p=document.createElement('div');
+  p.className='empty-note';
+  p.textContent=t('empty');
+  sheet.appendChild(p);
+  LAST_RENDER = { title: titleText, pages: [], geo: measureLayoutGeometry(titleText), emptyNote: p.textContent };
+}
 
-  // Match PDF page to canvas size to avoid any resampling
-  const pxToPt = 0.75; // 72/96
-  const pdfWpt = canvas.width * pxToPt;
-  const pdfHpt = canvas.height * pxToPt;
+async function renderQuadrants(model){
+  const seq = ++_renderSeq;
+  const out = document.getElementById('out'); out.innerHTML = '';
 
-  const { jsPDF } = window.jspdf;
-  const doc = new jsPDF({ unit: 'pt', format: [pdfWpt, pdfHpt] });
+  if(model.sections.length===0){
+    renderEmptySheet(out, model.title);
+    return;
+  }
 
-  // Use PNG for sharper text/edges
-  const dataUrl = canvas.toDataURL('image/png');
-  doc.addImage(dataUrl, 'PNG', 0, 0, pdfWpt, pdfHpt, undefined, 'FAST');
+  await new Promise(r => requestAnimationFrame(()=>requestAnimationFrame(r)));
+  if (seq !== _renderSeq) return; // superseded by a newer render
+  if (TEXT_SIZE === 'auto') autoFitText(model);
+  packToFit(out, model, measureLayoutGeometry(model.title));
+  if (PENDING_FOCUS){
+    document.getElementById(PENDING_FOCUS)?.focus();
+    PENDING_FOCUS = null;
+  }
+}
 
-  if (isiOS) {
-    const blob = doc.output('blob');
-    const url  = URL.createObjectURL(blob);
+/**
+ * Pack, render, then verify against the final DOM. If a cell still spills
+ * (fonts, icons and wrapping can differ from the measurer), shrink that
+ * cell by the overflow and pack again. Synchronous, so beforeprint can use it.
+ */
+function packToFit(out, model, geo){
+  const MAX_REPACKS = 3;
+  let shrink = geo.cellHeights.map(() => 0);
+  for (let attempt = 0; ; attempt++){
+    const pages = packIntoQuadrants(model.sections, PrintLayout.shrinkGeometry(geo, shrink));
+    renderSheets(out, model.title, pages, LAYOUT.def);
+
+    LAST_RENDER = { title: model.title, pages, geo };
+
+    const over = measureOverflow(out, geo);
+    if (!over.some(px => px > 0)) break;
+    if (attempt >= MAX_REPACKS){
+      console.warn('[layout] cells still overflow after re-packing:', over);
+      break;
+    }
+    shrink = shrink.map((s, i) => s + Math.max(0, over[i]));
+  }
+}
+
+// Source text -> what the sheets show (merged, grouped, store order, display mode)
+function buildShownModel(src){
+  loadCheckState(src);
+  const merged = mergeDuplicates(parseItems(parseList(src)));
+  const model = merged.model;
+  const grouped = document.getElementById('opt-group')?.checked ? autoGroup(model) : model;
+  const shown = localizeSections(applyDisplayMode(applyStoreProfile(grouped, activeStore()), document.getElementById('opt-display')?.value));
+  return { merged, shown: colorsOn() ? colorSections(shown) : shown };
+}
+
+// Names the app made up ("Items", aisle categories) in the UI language;
+// headings the user wrote are printed as written
+function localizeSections(model){
+  return { ...model, sections: model.sections.map(s =>
+    s.ungrouped && s.name === 'Items' ? { ...s, name: t('section.items') }
+    : s.category ? { ...s, name: t(`category.${s.name}`, {}, s.name) }
+    : s) };
+}
+
+function filterNow(){
+  const { merged, shown } = buildShownModel(document.getElementById('src').value || '');
+  renderMergeReview(merged);
+  renderQuadrants(shown);
+  renderMatchDebug(shown);
+}
+
+/* =========================
+   Icon matching debug panel
+   - Per item: the candidates tried, their scores and the winner
+   - Evidence for tuning icon-map.json synonyms
+========================= */
+function renderMatchDebug(model){
+  const panel = document.getElementById('match-debug');
+  if (!panel) return;
+  panel.hidden = !document.getElementById('opt-debug')?.checked;
+  panel.innerHTML = '';
+  if (panel.hidden) return;
+
+  const h3 = document.createElement('h3'); h3.textContent = t('debug.title');
+  const p = document.createElement('p');
+  p.textContent = t('debug.summary', { icons: ICON_KEYS.size, synonyms: Object.keys(SYNONYMS).length, threshold: MATCH_THRESHOLD });
+  panel.append(h3, p);
+  const table = document.createElement('table');
+  const head = table.createTHead().insertRow();
+  for (const key of ['debug.item', 'debug.matchedAs', 'debug.icon', 'debug.candidates']){
+    const th = document.createElement('th'); th.textContent = t(key); head.appendChild(th);
+  }
+  const tbody = document.createElement('tbody');
+
+  const names = new Set(model.sections.flatMap(s => s.items.map(item => item.name)));
+  for (const name of names){
+    const m = explainIconMatch(name);
+    const tr = document.createElement('tr');
+    const cell = (text, cls) => {
+      const td = document.createElement('td');
+      td.textContent = text;
+      if (cls) td.className = cls;
+      tr.appendChild(td);
+      return td;
+    };
+    cell(name);
+    cell(m.cleaned);
+    const pick = document.createElement('button');
+    pick.className = 'secondary';
+    pick.textContent = t('icon.change');
+    pick.addEventListener('click', () => openIconPicker(name));
+    cell(`${m.key || t('debug.noIcon')} `, m.key ? 'win' : 'none').appendChild(pick);
+
+    const list = document.createElement('ol');
+    m.candidates.forEach((c, i) => {
+      const li = document.createElement('li');
+      li.textContent = `"${c.phrase}" → ${c.key || t('debug.noIcon')} · ${t(`debug.via.${c.via}`, c)} · ${c.score.toFixed(2)}`;
+      li.className = (i === 0 && m.key) ? 'win' : (c.score < MATCH_THRESHOLD ? 'below' : '');
+      list.appendChild(li);
+    });
+    if (!m.candidates.length) cell(t('debug.nothingClose'), 'none');
+    else cell('').appendChild(list);
+    tbody.appendChild(tr);
+  }
+  table.appendChild(tbody);
+  panel.appendChild(table);
+}
+
+/* =========================
+   Icon editor (user synonyms)
+   - Click an icon in the list (or "Change…" in Explain icons) to pick
+     another icon or "no icon"
+   - Choices are saved in localStorage on top of icon-map.json and can be
+     exported/imported in the same { "synonyms": {...} } shape
+========================= */
+const USER_SYNONYMS_KEY = 'userSynonyms';
+
+function loadUserSynonyms(){
+  try { USER_SYNONYMS = JSON.parse(localStorage.getItem(USER_SYNONYMS_KEY)) || {}; }
+  catch { USER_SYNONYMS = {}; }
+  MATCH_CACHE.clear();
+}
+
+function saveUserSynonyms(){
+  localStorage.setItem(USER_SYNONYMS_KEY, JSON.stringify(USER_SYNONYMS));
+  MATCH_CACHE.clear();
+}
+
+/** Map an item (as typed) to an icon key; '' means no icon, null goes back to automatic. */
+function setUserSynonym(itemText, key){
+  const phrase = normalize(stripModifiers(normalize(itemText)));
+  if (!phrase) return;
+  if (key === null) delete USER_SYNONYMS[phrase];
+  else USER_SYNONYMS[phrase] = key;
+  saveUserSynonyms();
+}
+
+/** Merge an exported { synonyms: {...} } file; later entries win. Returns the count. */
+function importUserSynonyms(data){
+  const entries = Object.entries(data?.synonyms || {});
+  if (!entries.length) throw new Error(t('error.noSynonyms'));
+  for (const [from, to] of entries) {
+    const phrase = normalize(stripModifiers(normalize(from)));
+    if (phrase) USER_SYNONYMS[phrase] = to ? toKey(String(to)) : '';
+  }
+  saveUserSynonyms();
+  return entries.length;
+}
+
+function exportUserSynonyms(){
+  const blob = new Blob([JSON.stringify({ synonyms: USER_SYNONYMS }, null, 2)], { type: 'application/json' });
+  const a = document.createElement('a');
+  a.href = URL.createObjectURL(blob);
+  a.download = 'my-icon-synonyms.json';
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+}
+
+function openIconPicker(itemText){
+  const dlg = document.getElementById('icon-picker');
+  if (!dlg) return;
+  const search = dlg.querySelector('#icon-search');
+  const grid = dlg.querySelector('.icon-grid');
+  const current = pickIconKeySmart(itemText);
+  dlg.querySelector('.icon-picker-item').textContent = itemText;
+
+  const choose = (key) => {
+    setUserSynonym(itemText, key);
+    dlg.close();
+    filterNow();
+  };
+
+  const fill = () => {
+    const q = toKey(normalize(search.value));
+    grid.innerHTML = '';
+    const none = document.createElement('button');
+    none.type = 'button';
+    none.className = 'icon-choice none';
+    none.textContent = t('icon.none');
+    none.addEventListener('click', () => choose(''));
+    grid.appendChild(none);
+
+    const shown = new Set(); // sprite aliases ("eggs"/"egg") share one symbol
+    for (const key of [...ICON_KEYS].sort()) {
+      if (q && !key.includes(q)) continue;
+      const icon = resolveIcon(key);
+      if (!icon || shown.has(icon.id || icon.url)) continue;
+      shown.add(icon.id || icon.url);
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'icon-choice' + (key === current ? ' current' : '');
+      btn.title = key.replace(/_/g, ' ');
+      const label = document.createElement('span');
+      label.textContent = btn.title;
+      const preview = createIconElForKey(key);
+      if (preview) btn.appendChild(preview);
+      btn.appendChild(label);
+      btn.addEventListener('click', () => choose(key));
+      grid.appendChild(btn);
+    }
+    if (!ICON_KEYS.size) grid.insertAdjacentText('beforeend', t('picker.noIcons'));
+  };
+
+  search.value = '';
+  search.oninput = fill;
+  dlg.querySelector('#icon-reset').onclick = () => choose(null);
+  fill();
+  dlg.showModal();
+  search.focus();
+}
+
+/* =========================
+   Merge duplicates
+   - Same item twice ("Bananas" in Produce, "green Bananas" in Other) is
+     printed once: keys use the icon pipeline (normalize → stripModifiers →
+     singularizeWord in each matching language); same-named sections are
+     joined first
+   - Quantities add up when the units agree; notes and brands are combined
+   - Checked copies (in the text or tapped) are left out: an item already
+     bought never adds to the one still to buy
+   - The merge banner lists every merge; Undo keeps that item separate
+     (remembered in localStorage)
+========================= */
+const MERGE_SKIP_KEY = 'mergeSkip';
+let MERGE_SKIP = new Set();
+
+function loadMergeSkip(){
+  try { MERGE_SKIP = new Set(JSON.parse(localStorage.getItem(MERGE_SKIP_KEY)) || []); }
+  catch { MERGE_SKIP = new Set(); }
+}
+
+function setMergeSkip(keys, skip){
+  for (const key of keys) skip ? MERGE_SKIP.add(key) : MERGE_SKIP.delete(key);
+  localStorage.setItem(MERGE_SKIP_KEY, JSON.stringify([...MERGE_SKIP]));
+}
+
+// One key per matching language, like the icon matcher tries them: with French
+// first, "tomatoes" is tomatoe (fr) and tomato (en). Items sharing any key merge.
+function duplicateKeys(name){
+  const words = normalize(stripModifiers(normalize(name))).split(' ').filter(Boolean);
+  if (!words.length) return [];
+  return [...new Set(MATCH_PACKS.map(pack => words.map(w => singularizeWord(w, pack)).join(' ')))];
+}
+
+// Fold `other` into `item`: add quantities with the same unit (a bare item counts as ×1)
+function combineItems(item, other){
+  const notes = [item.note, other.note];
+  let { qty, unit } = item;
+  if (item.unit === other.unit) qty = (item.qty ?? 1) + (other.qty ?? 1);
+  else if (item.qty == null) ({ qty, unit } = other);
+  else if (other.qty != null) notes.push(`+ ${formatQty(other)}`);
+  const join = (values, sep) => [...new Set(values.filter(Boolean))].join(sep) || null;
+  return {
+    ...item, qty, unit,
+    note: join(notes, '; '),
+    brand: join([item.brand, other.brand], ', '),
+    checked: item.checked && other.checked,
+    copies: [...(item.copies || [item]), other].map(({ line, checked }) => ({ line, checked }))
+  };
+}
+
+/**
+ * Join same-named sections, then fold repeated items into their first
+ * occurrence. Sub-items, items with sub-items and checked items are left alone.
+ * @returns {{ model, merges: {key, name, from:{name, section}[]}[], skipped: string[] }}
+ */
+function mergeDuplicates(model){
+  const sections = [];
+  const byName = new Map();
+  for (const section of model.sections){
+    const key = sectionKey(section.name);
+    if (byName.has(key)) byName.get(key).items.push(...section.items);
+    else { const copy = { ...section, items: section.items.slice() }; byName.set(key, copy); sections.push(copy); }
+  }
+
+  const parents = new Set(sections.flatMap(s => s.items.map(item => item.parent)).filter(Boolean));
+  const first = new Map(); // key -> { kept, index }: the first copy's slot in its section's kept items
+  const merges = new Map();
+  const skipped = new Set();
+  for (const section of sections){
+    const kept = [];
+    for (const item of section.items){
+      const keys = item.depth || parents.has(item.line) || isItemChecked(item) ? [] : duplicateKeys(item.name);
+      const key = keys.find(k => first.has(k));
+      const at = key && first.get(key);
+      if (!at){
+        for (const k of keys) first.set(k, { kept, index: kept.length });
+        kept.push(item);
+      } else if (MERGE_SKIP.has(key)){
+        skipped.add(key);
+        kept.push(item);
+      } else {
+        for (const k of keys) if (!first.has(k)) first.set(k, at);
+        const into = at.kept[at.index];
+        at.kept[at.index] = combineItems(into, item);
+        if (!merges.has(key)) merges.set(key, { key, name: into.name, from: [] });
+        merges.get(key).from.push({ name: item.name, section: section.name });
+      }
+    }
+    section.items = kept;
+  }
+  return { model: { ...model, sections: sections.filter(s => s.items.length) }, merges: [...merges.values()], skipped: [...skipped] };
+}
+
+function renderMergeReview({ merges, skipped }){
+  const box = document.getElementById('merge-review');
+  if (!box) return;
+  box.innerHTML = '';
+  box.hidden = !merges.length && !skipped.length;
+  if (box.hidden) return;
+
+  const button = (label, title, onClick) => {
+    const b = document.createElement('button');
+    b.type = 'button'; b.className = 'secondary'; b.textContent = label; b.title = title;
+    b.addEventListener('click', () => { onClick(); filterNow(); });
+    return b;
+  };
+  if (merges.length){
+    const head = document.createElement('strong');
+    head.textContent = tn('merge.head', merges.length);
+    box.appendChild(head);
+    const ul = document.createElement('ul');
+    for (const m of merges){
+      const li = document.createElement('li');
+      li.append(`${m.name} ← ${m.from.map(f => `${f.name} (${f.section})`).join(', ')} `,
+        button(t('merge.undo'), t('merge.undo.title'), () => setMergeSkip([m.key], true)));
+      ul.appendChild(li);
+    }
+    box.appendChild(ul);
+    if (merges.length > 1) box.appendChild(button(t('merge.undoAll'), t('merge.undoAll.title'), () => setMergeSkip(merges.map(m => m.key), true)));
+  }
+  if (skipped.length){
+    const p = document.createElement('p');
+    p.append(`${t('merge.skipped', { names: skipped.join(', ') })} `,
+      button(t('merge.again'), t('merge.again.title'), () => setMergeSkip(skipped, false)));
+    box.appendChild(p);
+  }
+}
+
+/* =========================
+   Auto-group (aisles)
+   - Items pasted without a heading get sorted into categories from
+     category-map.json, matched like icons (normalize, synonyms, plurals)
+   - Categories come out in the map's "order"; a store profile (below)
+     can reorder and rename them
+========================= */
+const OTHER_CATEGORY = 'Other';
+
+let CATEGORIES = { order: [], index: new Map() }; // phrase key -> category name
+
+async function loadCategoryMap(){
+  try {
+    const data = await fetchJson('./category-map.json');
+    const index = new Map();
+    for (const [category, phrases] of Object.entries(data?.categories || {})){
+      for (const phrase of phrases){
+        const words = normalize(String(phrase)).split(' ').filter(Boolean);
+        index.set(toKey(words.map(w => singularizeWord(w, LOCALE_PACKS.en)).join(' ')), category);
+      }
+    }
+    CATEGORIES = { order: data?.order || Object.keys(data?.categories || {}), index };
+  } catch (err) {
+    console.warn('[category-map] not loaded, auto-group puts everything in Other:', err?.message || err);
+  }
+}
+
+// Category of one phrase: as written, singularized, or through a synonym
+function categoryOfPhrase(phrase){
+  const keys = [phrase, ...MATCH_PACKS.map(pack => phrase.split(' ').map(w => singularizeWord(w, pack)).join(' '))];
+  const syn = synonymFor(phrase);
+  if (syn) keys.push(syn, syn.split(/[\s_]+/).map(w => singularizeWord(w, LOCALE_PACKS.en)).join(' '));
+  for (const k of keys){
+    const hit = CATEGORIES.index.get(toKey(normalize(k)));
+    if (hit) return hit;
+  }
+  return null;
+}
+
+/**
+ * Category for an item name, or OTHER_CATEGORY.
+ * 1) Modifiers the icon matcher drops ("frozen peas") name the aisle first.
+ * 2) Full phrase, tail n-grams (3 → 1), then any word.
+ * 3) The icon the matcher picked (covers typos like "bannana").
+ */
+function categoryFor(name){
+  const all = normalize(name).split(' ').filter(Boolean);
+  const cleaned = normalize(stripModifiers(normalize(name)));
+  const words = cleaned.split(' ').filter(Boolean);
+
+  const phrases = all.filter(w => COMMON_MODS.has(w));
+  phrases.push(cleaned);
+  for (let n = Math.min(3, words.length); n >= 1; n--) phrases.push(words.slice(-n).join(' '));
+  phrases.push(...words);
+
+  for (const phrase of phrases){
+    const hit = phrase && categoryOfPhrase(phrase);
+    if (hit) return hit;
+  }
+  const key = pickIconKeySmart(name);
+  return (key && CATEGORIES.index.get(key)) || OTHER_CATEGORY;
+}
+
+/**
+ * Replace each heading-less "Items" section with one section per category,
+ * in category order (unlisted categories, then Other, go last). Sections
+ * the user headed themselves are left as written.
+ */
+function autoGroup(model, order = CATEGORIES.order){
+  const rank = (name) => {
+    const i = order.findIndex(o => o.trim().toLowerCase() === name.toLowerCase());
+    return i >= 0 ? i : order.length + (name === OTHER_CATEGORY ? 1 : 0);
+  };
+  const sections = [];
+  for (const section of model.sections){
+    if (!section.ungrouped){ sections.push(section); continue; }
+    const groups = new Map();
+    const byLine = new Map(); // sub-items stay with their parent
+    for (const item of section.items){
+      const category = byLine.get(item.parent) || categoryFor(item.name);
+      byLine.set(item.line, category);
+      if (!groups.has(category)) groups.set(category, []);
+      groups.get(category).push(item);
+    }
+    [...groups.keys()]
+      .sort((a, b) => rank(a) - rank(b))
+      .forEach(name => sections.push({ name, items: groups.get(name), category: true }));
+  }
+  return { ...model, sections };
+}
+
+/* =========================
+   Store profiles
+   - Each store: { name, sections: [{ name, aliases: [] }] } in walk order
+   - Sections whose name matches a section or one of its aliases are renamed
+     and merged; unknown sections keep their order at the end
+   - Saved in localStorage; the "Store" select picks the active one
+========================= */
+const STORES_KEY = 'storeProfiles';
+
+// "Produce " and "produce" are the same section
+const sectionKey = (name) => String(name).trim().toLowerCase().replace(/\s+/g, ' ');
+
+function readStores(){
+  try {
+    const stores = JSON.parse(localStorage.getItem(STORES_KEY));
+    if (Array.isArray(stores)) return stores;
+  } catch {}
+  return [];
+}
+
+function saveStores(stores){
+  localStorage.setItem(STORES_KEY, JSON.stringify(stores));
+}
+
+function activeStore(){
+  const name = localStorage.getItem('optStore');
+  return readStores().find(s => s.name === name) || null;
+}
+
+/** Reorder, rename and merge sections to follow `store`; null keeps them as written. */
+function applyStoreProfile(model, store){
+  if (!store) return model;
+  const index = new Map(); // section key -> position in the store
+  store.sections.forEach((sec, i) => {
+    for (const name of [sec.name, ...(sec.aliases || [])]) {
+      if (!index.has(sectionKey(name))) index.set(sectionKey(name), i);
+    }
+  });
+
+  const known = [];   // position -> merged section
+  const unknown = [];
+  for (const section of model.sections){
+    const i = index.get(sectionKey(section.name));
+    if (i === undefined){ unknown.push(section); continue; }
+    if (known[i]) known[i].items.push(...section.items);
+    else known[i] = { ...section, name: store.sections[i].name, items: section.items.slice() };
+  }
+  return { ...model, sections: [...known.filter(Boolean), ...unknown] };
+}
+
+// Editor lines: "Produce = Fruits & veg, Veggies"
+function formatStoreSections(sections){
+  return sections.map(s => s.aliases?.length ? `${s.name} = ${s.aliases.join(', ')}` : s.name).join('\n');
+}
+
+function parseStoreSections(text){
+  return text.split(/\r?\n/).map(line => {
+    const [name, aliases = ''] = line.split('=');
+    return { name: name.trim(), aliases: aliases.split(',').map(a => a.trim()).filter(Boolean) };
+  }).filter(s => s.name);
+}
+
+function fillStoreSelect(){
+  const sel = document.getElementById('opt-store');
+  if (!sel) return;
+  const current = activeStore()?.name || '';
+  sel.innerHTML = '';
+  const add = (value, label) => {
+    const opt = document.createElement('option');
+    opt.value = value; opt.textContent = label;
+    sel.appendChild(opt);
+  };
+  add('', t('store.asWritten'));
+  for (const store of readStores()) add(store.name, store.name);
+  sel.value = current;
+}
+
+/** Edit the active store, or start a new one when `isNew` (or none is active). */
+function openStoreEditor(isNew = false){
+  const dlg = document.getElementById('store-editor');
+  if (!dlg) return;
+  const original = isNew ? null : activeStore();
+  const nameEl = dlg.querySelector('#store-name');
+  const text = dlg.querySelector('#store-sections');
+  nameEl.value = original?.name || '';
+  text.value = formatStoreSections(original?.sections || CATEGORIES.order.map(name => ({ name, aliases: [] })));
+  dlg.querySelector('#store-delete').hidden = !original;
+
+  dlg.querySelector('#store-save').onclick = () => {
+    const others = readStores().filter(s => s !== original && s.name !== original?.name);
+    let name = nameEl.value.trim() || t('store.mine');
+    for (let n = 2; others.some(s => s.name === name); n++) name = `${nameEl.value.trim() || t('store.mine')} (${n})`;
+    const store = { name, sections: parseStoreSections(text.value) };
+    const stores = readStores();
+    const at = original ? stores.findIndex(s => s.name === original.name) : -1;
+    if (at >= 0) stores[at] = store; else stores.push(store);
+    saveStores(stores);
+    localStorage.setItem('optStore', name);
+    dlg.close();
+    fillStoreSelect();
+    filterNow();
+  };
+  dlg.querySelector('#store-delete').onclick = () => {
+    saveStores(readStores().filter(s => s.name !== original?.name));
+    localStorage.removeItem('optStore');
+    dlg.close();
+    fillStoreSelect();
+    filterNow();
+  };
+  dlg.querySelector('#store-reset').onclick = () => {
+    text.value = formatStoreSections(CATEGORIES.order.map(name => ({ name, aliases: [] })));
+  };
+  dlg.showModal();
+  nameEl.focus();
+}
+
+/* =========================
+   Checked items: display modes
+   - hide:   drop them (the classic behavior)
+   - strike: keep them in place, struck through
+   - done:   move them into a trailing "Done" section
+========================= */
+const DISPLAY_MODES = ['hide', 'strike', 'done'];
+
+/**
+ * Resolve each item's effective check state (source mark XOR on-screen tap)
+ * and reshape the model for the chosen mode. Sections left empty are dropped.
+ */
+function applyDisplayMode(model, mode = 'hide'){
+  const byLine = new Map(); // a checked parent checks its sub-items
+  const sections = model.sections.map(s => ({
+    ...s,
+    items: s.items.map(item => {
+      const checked = isItemChecked(item) || !!byLine.get(item.parent);
+      byLine.set(item.line, checked);
+      return { ...item, checked };
+    })
+  }));
+  const open = (s) => ({ ...s, items: s.items.filter(item => !item.checked) });
+
+  let out;
+  if (mode === 'strike'){
+    out = sections;
+  } else if (mode === 'done'){
+    const done = sections.flatMap(s => s.items.filter(item => item.checked));
+    out = sections.map(open);
+    if (done.length) out.push({ name: t('section.done'), items: done, done: true });
+  } else {
+    out = sections.map(open);
+  }
+  return { ...model, sections: out.filter(s => s.items.length > 0) };
+}
+
+/* =========================
+   Kids mode
+   - Big picture first, then the word; items without an icon get their
+     first letter in a colored circle so every row has a picture
+   - Section colors (optional, any mode) tint each section's heading and
+     its letter circles
+   - On screen, tapping an item reads its name aloud (Web Speech API);
+     the checkbox still checks it off
+   - Taller rows need no packer changes: the DOM measurer renders them
+========================= */
+const SECTION_PALETTE = ['#e4572e', '#2a9d8f', '#f4a261', '#4361ee', '#9b5de5', '#43aa8b', '#f15bb5', '#8d6346'];
+
+const kidsOn = () => !!document.getElementById('opt-kids')?.checked;
+const colorsOn = () => !!document.getElementById('opt-colors')?.checked;
+
+function applyKidsMode(on){
+  document.documentElement.classList.toggle('kids', on);
+  filterNow();
+}
+
+// Colors follow section order, so neighbours never share one ("Done" stays grey)
+function colorSections(model){
+  let i = 0;
+  return { ...model, sections: model.sections.map(s => s.done ? s : { ...s, color: SECTION_PALETTE[i++ % SECTION_PALETTE.length] }) };
+}
+
+// Letter circle color: the section's, else one per letter
+function letterColor(name, sectionColor){
+  if (sectionColor) return sectionColor;
+  const ch = normalize(name).charCodeAt(0) || 0;
+  return SECTION_PALETTE[ch % SECTION_PALETTE.length];
+}
+
+function createLetterIcon(name, color){
+  const span = document.createElement('span');
+  span.className = 'icon-wrap letter';
+  span.setAttribute('aria-hidden', 'true');
+  span.style.setProperty('--letter-color', color);
+  span.textContent = (name.trim()[0] || '?').toUpperCase();
+  return span;
+}
+
+function speakItem(text){
+  if (!text || !('speechSynthesis' in window)) return;
+  speechSynthesis.cancel(); // a new tap interrupts the last word
+  const u = new SpeechSynthesisUtterance(text);
+  u.lang = document.documentElement.lang || 'en';
+  u.rate = 0.9;
+  speechSynthesis.speak(u);
+}
+
+/* =========================
+   Interactive checklist (screen)
+   - Tap an item to check (or un-check) it while shopping
+   - Taps are stored as the source lines they flip, in localStorage,
+     keyed by a hash of the source text
+========================= */
+const CHECK_STATE_KEY = 'checkState'; // { [sourceHash]: [lineNumber, ...] }
+const CHECK_STATE_MAX = 20;           // remember this many recent lists
+
+let CHECKS = { hash: null, lines: new Set() };
+
+// FNV-1a, 32-bit: short, stable id for a source text
+function hashText(s){
+  let h = 0x811c9dc5;
+  for (let i = 0; i < s.length; i++){
+    h ^= s.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return (h >>> 0).toString(16).padStart(8, '0');
+}
+
+// Source mark, flipped if the item was tapped on screen (merged items: every copy)
+function isItemChecked(item){
+  return (item.copies || [item]).every(c => c.checked !== CHECKS.lines.has(c.line));
+}
+
+function readCheckStore(){
+  try { return JSON.parse(localStorage.getItem(CHECK_STATE_KEY)) || {}; }
+  catch { return {}; }
+}
+
+function loadCheckState(src){
+  const hash = hashText(src);
+  if (hash === CHECKS.hash) return;
+  const saved = readCheckStore()[hash] || [];
+  CHECKS = { hash, lines: new Set(saved.filter(n => typeof n === 'number')) };
+}
+
+function saveCheckState(){
+  const store = readCheckStore();
+  delete store[CHECKS.hash]; // re-insert so it becomes the most recent
+  if (CHECKS.lines.size) store[CHECKS.hash] = [...CHECKS.lines];
+  const hashes = Object.keys(store);
+  for (const old of hashes.slice(0, Math.max(0, hashes.length - CHECK_STATE_MAX))) delete store[old];
+  localStorage.setItem(CHECK_STATE_KEY, JSON.stringify(store));
+}
+
+let PENDING_FOCUS = null; // checkbox id to focus once the re-pack is drawn
+
+function toggleItem(li){
+  if (li.dataset.copies){
+    // A merged item checks (or un-checks) all of its source lines together
+    const want = !li.classList.contains('checked');
+    for (const copy of li.dataset.copies.split(' ')){
+      const [line, checked] = copy.split(':').map(Number);
+      if (!!checked !== want) CHECKS.lines.add(line); else CHECKS.lines.delete(line);
+    }
+  } else {
+    const line = Number(li.dataset.line);
+    if (CHECKS.lines.has(line)) CHECKS.lines.delete(line); else CHECKS.lines.add(line);
+  }
+  saveCheckState();
+
+  // hide/done move the item, so re-pack; strike just restyles in place
+  if (document.getElementById('opt-display')?.value !== 'strike') {
+    // Keyboard users keep their place: focus moves to the next item's box
+    if (document.activeElement?.closest('li.item') === li){
+      const boxes = [...document.querySelectorAll('#out input.cb')];
+      const at = boxes.indexOf(document.activeElement);
+      PENDING_FOCUS = (boxes[at + 1] || boxes[at - 1])?.id || null;
+    }
+    filterNow();
+    return;
+  }
+  li.classList.toggle('checked');
+}
+
+function lineIsChecked(line){
+  return !!matchItem(line)?.checked;
+}
+
+// Set one item line's check mark, keeping its style (`[ ]`/`[x]`, `◦`/`✓`, `☐`/`☑`)
+function setLineChecked(line, checked){
+  const b = line.match(re.bullet);
+  const rest = b ? b[2] : line.trimStart();
+  const lead = line.slice(0, line.length - rest.length);
+  if (re.box.test(rest)) return lead + rest.replace(/^\[[\sxX]\]/, checked ? '[x]' : '[ ]');
+  const m = rest.match(re.mark);
+  if (m) return CHECKED_MARKS.has(m[1]) === checked ? line : lead + MARK_TOGGLE[m[1]] + rest.slice(1);
+  if (checked && b) return lead + '[x] ' + rest;
+  return line;
+}
+
+/**
+ * Rewrite the source so on-screen taps become real check marks, in the
+ * format it was written in (see IMPORTERS). parseList reads them back.
+ * @returns {string|null} null when the format has no check marks to write
+ */
+function writeBackChecks(src){
+  const importer = pickImporter(src);
+  return importer.writeBack ? importer.writeBack(src, CHECKS.lines) : null;
+}
+
+/* =========================
+   PDF (one snapshot per .sheet in #out)
+   — your CSS already handles the print grid & gutters
+========================= */
+/**
+ * Temporarily lay a .sheet out as a real page using the shared geometry.
+ * Returns a function that reverts the inline styles.
+ */
+function enterPdfMode(sheetEl, geo){
+  const { pageW, pageH, margins, gutter, colW, rowH, cols, rows } = geo;
+  // Only the first sheet carries the list title
+  const rowsH = sheetEl.querySelector('.list-title') ? rowH.first : rowH.rest;
+
+  const grid = sheetEl.querySelector('.grid');
+  sheetEl.style.width  = pageW + 'px';
+  sheetEl.style.height = pageH + 'px';
+  sheetEl.style.boxSizing = 'border-box';
+  sheetEl.style.margin = sheetEl.style.border = '0';
+  sheetEl.style.padding = `${margins.top}px ${margins.right}px ${margins.bottom}px ${margins.left}px`;
+
+  // Apply print-like grid metrics (the empty-list sheet has no grid)
+  if (grid){
+    grid.style.display = 'grid';
+    grid.style.columnGap = gutter + 'px';
+    grid.style.rowGap    = gutter + 'px';
+    grid.style.gridTemplateColumns = `repeat(${cols}, ${colW}px)`;
+    grid.style.gridTemplateRows = `repeat(${rows}, ${rowsH}px)`;
+  }
+  sheetEl.style.position = 'relative';
+  const guides = grid && guidesOn() ? addGuides(sheetEl, geo) : null;
+
+  return () => {
+    // revert
+    sheetEl.style.width = sheetEl.style.height = sheetEl.style.padding = sheetEl.style.boxSizing = '';
+    sheetEl.style.margin = sheetEl.style.border = sheetEl.style.position = '';
+    if (grid) grid.style.display = grid.style.columnGap = grid.style.rowGap = grid.style.gridTemplateColumns = grid.style.gridTemplateRows = '';
+    guides?.remove();
+  };
+}
+
+const guidesOn = () => document.getElementById('opt-guides')?.checked !== false;
+
+// Fold lines and cut ticks (PrintLayout.gutterGuides) as an overlay on a page-sized sheet
+function addGuides(sheetEl, geo){
+  const layer = document.createElement('div');
+  layer.className = 'guides';
+  layer.setAttribute('aria-hidden', 'true');
+  for (const g of PrintLayout.gutterGuides(geo, !!sheetEl.querySelector('.list-title'))){
+    const el = document.createElement('div');
+    el.className = `guide ${g.kind} ${g.x1 === g.x2 ? 'v' : 'h'}`;
+    el.style.left = g.x1 + 'px';
+    el.style.top = g.y1 + 'px';
+    el.style.width = (g.x2 - g.x1) + 'px';
+    el.style.height = (g.y2 - g.y1) + 'px';
+    layer.appendChild(el);
+  }
+  sheetEl.appendChild(layer);
+  return layer;
+}
+
+/* =========================
+   Browser print (Ctrl/Cmd+P, #autoprint=1)
+   - beforeprint re-packs for the page geometry and lays every sheet out
+     with enterPdfMode, so the printout matches the PDF
+   - the sheets carry the page margins, so @page margins drop to 0
+   - afterprint restores the screen layout
+========================= */
+let PRINT_EXITS = null;
+
+function enterPrintMode(){
+  if (PRINT_EXITS) return;
+  ++_renderSeq; // a render still waiting for a frame must not replace the print layout
+  const out = document.getElementById('out');
+  const { shown } = buildShownModel(document.getElementById('src').value || '');
+  if (shown.sections.length) packToFit(out, shown, measureLayoutGeometry(shown.title));
+  else renderEmptySheet(out, shown.title);
+
+  let style = document.getElementById('print-mode-style');
+  if (!style){
+    style = document.createElement('style');
+    style.id = 'print-mode-style';
+    document.head.appendChild(style);
+  }
+  style.textContent = '@page{ margin: 0; }';
+  document.body.classList.add('print-mode');
+  PRINT_EXITS = Array.from(out.querySelectorAll('.sheet'), sheet => enterPdfMode(sheet, LAST_RENDER.geo));
+}
+
+function exitPrintMode(){
+  if (!PRINT_EXITS) return;
+  PRINT_EXITS.forEach(exit => exit());
+  PRINT_EXITS = null;
+  document.body.classList.remove('print-mode');
+  document.getElementById('print-mode-style')?.remove();
+}
+
+async function generateRasterPDF(){
+  const outEl = document.getElementById('out');
+  if (!outEl) return;
+  const sheets = Array.from(outEl.querySelectorAll('.sheet'));
+  if (!sheets.length) return;
+  const html2canvasLib = requirePdfLib('html2canvas', 'vendor/html2canvas.min.js');
+  const geo = measureLayoutGeometry(outEl.querySelector('.list-title')?.textContent || '');
+
+  // Ensure fonts & images are ready (crisper canvas)
+  if (document.fonts && document.fonts.ready) {
+    try { await document.fonts.ready; } catch {}
+  }
+  const imgs = Array.from(outEl.querySelectorAll('img'));
+  await Promise.all(imgs.map(img => {
+    img.loading = 'eager';
+    return (img.decode ? img.decode() : Promise.resolve()).catch(()=>{});
+  }));
+
+  // Let layout fully settle
+  await new Promise(r => requestAnimationFrame(()=>requestAnimationFrame(r)));
+
+  // Choose a crisp-but-safe scale (avoid iOS memory blowups)
+  const isiOS = isiOSDevice();
+
+  const pageCSSw = geo.pageW, pageCSSh = geo.pageH; // page in CSS px
+  const maxPixels = isiOS ? 16e6 : 48e6;   // rough caps
+  let scale = isiOS ? 2 : 4;               // target crispness
+
+  while ((pageCSSw * pageCSSh * scale * scale) > maxPixels && scale > 1.5) {
+    scale -= 0.5;
+  }
+
+  const { jsPDF } = requirePdfLib('jspdf', 'vendor/jspdf.umd.min.js');
+  const pxToPt = 0.75; // 72/96
+  let doc = null;
+
+  // One snapshot per sheet, one PDF page per snapshot
+  for (const sheet of sheets) {
+    // Temporarily apply print geometry for the snapshot
+    const exit = enterPdfMode(sheet, geo);
+    let canvas;
+    try {
+      canvas = await html2canvasLib(sheet, {
+        backgroundColor: '#ffffff',
+        useCORS: true,
+        allowTaint: false,
+        imageTimeout: 0,
+        scale,
+        onclone: (doc) => { inlineSpriteIcons(doc.body); flattenCheckboxes(doc.body); }
+      });
+    } finally {
+      // Revert temporary styles
+      exit();
+    }
+
+    // Optional: helps tiny icons when downscaling
+    const ctx = canvas.getContext('2d');
+    if (ctx) ctx.imageSmoothingEnabled = false;
+
+    // PDF page = chosen paper size; the snapshot fills it edge to edge
+    const pdfWpt = geo.pageW * pxToPt;
+    const pdfHpt = geo.pageH * pxToPt;
+    const orientation = pdfWpt > pdfHpt ? 'landscape' : 'portrait';
+
+    if (!doc) doc = new jsPDF({ unit: 'pt', format: [pdfWpt, pdfHpt], orientation });
+    else doc.addPage([pdfWpt, pdfHpt], orientation);
+
+    // Use PNG for sharper text/edges
+    const dataUrl = canvas.toDataURL('image/png');
+    doc.addImage(dataUrl, 'PNG', 0, 0, pdfWpt, pdfHpt, undefined, 'FAST');
+  }
+
+  deliverPdf(doc);
+}
+
+/* =========================
+   PDF (vector: jsPDF text & shapes)
+   — drawn from the packed model, so text stays selectable
+========================= */
+let LAST_RENDER = null; // { title, pages, geo, emptyNote } from the last renderQuadrants()
+
+const imageDataCache = new Map(); // url -> Promise<dataURL|null>
+
+// Rasterize a (small) icon to a PNG data URL for jsPDF; null if it can't load
+function loadImageData(url, sizePx){
+  if (!imageDataCache.has(url)){
+    imageDataCache.set(url, new Promise(resolve => {
+      const img = new Image();
+      img.onload = () => {
+        const c = document.createElement('canvas');
+        c.width = c.height = sizePx;
+        const ctx = c.getContext('2d');
+        // keep aspect ratio, centered (matches object-fit: contain)
+        const k = Math.min(sizePx / (img.naturalWidth || sizePx), sizePx / (img.naturalHeight || sizePx));
+        const w = (img.naturalWidth || sizePx) * k, h = (img.naturalHeight || sizePx) * k;
+        ctx.drawImage(img, (sizePx - w) / 2, (sizePx - h) / 2, w, h);
+        try { resolve(c.toDataURL('image/png')); } catch { resolve(null); }
+      };
+      img.onerror = () => resolve(null);
+      img.src = url;
+    }));
+  }
+  return imageDataCache.get(url);
+}
+
+// Current list typography in CSS px (rem-based vars resolved against the root font)
+function readListMetrics(){
+  const css = getComputedStyle(document.documentElement);
+  const rootPx = parseFloat(css.fontSize) || 16;
+  const px = (name, fallback) => {
+    const v = (css.getPropertyValue(name) || '').trim();
+    if (v.endsWith('rem')) return parseFloat(v) * rootPx;
+    return parseFloat(v) || fallback;
+  };
+  return {
+    rootPx,
+    title:   px('--title-size', 1.55 * rootPx),
+    heading: px('--heading-size', 1.05 * rootPx),
+    item:    px('--item-size', rootPx),
+    icon:    px('--icon-size', 28),
+    lineGap: px('--line-gap', 0.32 * rootPx),
+    subIndent: px('--sub-indent', 1.4 * rootPx)
+  };
+}
+
+// jsPDF's built-in Helvetica only encodes WinAnsi (cp1252): emoji and other
+// symbols would print as garbage glyphs, so they are left out of the PDF text
+const WIN_ANSI_EXTRA = '€‚ƒ„…†‡ˆ‰Š‹ŒŽ‘’“”•–—˜™š›œžŸ';
+function pdfText(text){
+  return String(text ?? '')
+    .replace(/[^\n\x20-\x7e\xa0-\xff]/gu, ch => WIN_ANSI_EXTRA.includes(ch) ? ch : '')
+    .replace(/ {2,}/g, ' ')
+    .trim();
+}
+
+async function generateVectorPDF(){
+  const r = LAST_RENDER;
+  if (!r) return;
+  const { geo } = r;
+  const m = readListMetrics();
+  const pt = (v) => v * 0.75; // CSS px -> PDF pt (72/96)
+
+  const { jsPDF } = requirePdfLib('jspdf', 'vendor/jspdf.umd.min.js');
+  const orientation = geo.pageW > geo.pageH ? 'landscape' : 'portrait';
+  const doc = new jsPDF({ unit: 'pt', format: [pt(geo.pageW), pt(geo.pageH)], orientation });
+  doc.setTextColor(17, 17, 17);
+  doc.setDrawColor(17, 17, 17);
+
+  // Same box model as styles.css (.cb, li gap, h2 padding/border/margin)
+  const LH = 1.2;
+  const cbBox = 1.05 * m.rootPx + 3.6;
+  const cbGap = 0.55 * m.rootPx;
+  const iconGap = 0.35 * m.rootPx;
+  const iconPx = Math.round(m.icon * 4); // rasterize icons at 4x for print
+
+  const drawTitle = () => {
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(pt(m.title));
+    doc.text(pdfText(r.title), pt(geo.margins.left), pt(geo.margins.top), { baseline: 'top' });
+  };
+
+  const kids = kidsOn();
+  // Kids mode: picture column (icon + its margin + the label gap) before the text
+  const lead = m.icon + m.item * 0.5 + iconGap;
+
+  const drawSection = async (section, x, y, w) => {
+    // Heading + rule (section colors: a bar on the left and a colored rule)
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(pt(m.heading));
+    const bar = section.color ? 0.4 * m.rootPx : 0;
+    const barPad = bar ? 0.45 * m.rootPx : 0;
+    const headLines = doc.splitTextToSize(pdfText(section.name), pt(w - bar - barPad));
+    doc.text(headLines, pt(x + bar + barPad), pt(y), { baseline: 'top', lineHeightFactor: LH });
+    const headH = headLines.length * m.heading * LH + 4;
+    if (bar){
+      doc.setFillColor(section.color);
+      doc.rect(pt(x), pt(y), pt(bar), pt(headH + 1), 'F');
+    }
+    y += headH;
+    doc.setDrawColor(section.color || '#e7e7e7');
+    doc.setLineWidth(pt(1));
+    doc.line(pt(x), pt(y), pt(x + w), pt(y));
+    doc.setDrawColor(17, 17, 17);
+    y += 1 + 6;
+
+    // Items: checkbox square, label, icon after the text (kids mode: before it)
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(pt(m.item));
+    for (let i = 0; i < section.items.length; i++){
+      const entry = section.items[i];
+      const { checked } = entry;
+      const name = pdfText(entry.name);
+      if (i > 0) y += m.lineGap;
+      const ix = x + (entry.depth || 0) * m.subIndent; // sub-items sit indented
+      const iw = w - (ix - x);
+
+      const url = getIconUrlForText(entry.name);
+      const icon = url ? await loadImageData(url, iconPx) : null;
+      const picX = ix + cbBox + cbGap;
+      const labelX = picX + (kids ? lead : 0);
+      const labelW = iw - cbBox - cbGap - (kids ? lead : icon ? m.icon + iconGap : 0);
+
+      // Bold quantity badge hangs to the left of the name
+      const qty = pdfText(formatQty(entry));
+      doc.setFont('helvetica', 'bold');
+      const badgeW = qty ? doc.getTextWidth(qty) / 0.75 + iconGap : 0;
+      doc.setFont('helvetica', 'normal');
+      const nameX = labelX + badgeW;
+      const lines = doc.splitTextToSize(name, pt(labelW - badgeW));
+
+      // Brand/note in smaller italics: after the last line if it fits, else below
+      const extra = pdfText([entry.brand, entry.note].filter(Boolean).join(' · '));
+      const notePx = m.item * 0.85;
+      let noteAt = null;
+      if (extra){
+        doc.setFont('helvetica', 'italic'); doc.setFontSize(pt(notePx));
+        const noteW = doc.getTextWidth(extra) / 0.75;
+        doc.setFont('helvetica', 'normal'); doc.setFontSize(pt(m.item));
+        const lastW = doc.getTextWidth(lines[lines.length - 1]) / 0.75;
+        noteAt = (lastW + iconGap + noteW <= labelW - badgeW)
+          ? { x: nameX + lastW + iconGap, line: lines.length - 1, w: noteW }
+          : { x: nameX, line: lines.length, w: noteW };
+      }
+
+      const lineCount = lines.length + (noteAt && noteAt.line === lines.length ? 1 : 0);
+      const textH = lineCount * m.item * LH;
+      const rowH = Math.max(textH, icon || kids ? m.icon : 0, cbBox);
+      const mid = y + rowH / 2;
+      const textTop = mid - textH / 2;
+
+      doc.setLineWidth(pt(1.8));
+      doc.roundedRect(pt(ix + 0.9), pt(mid - cbBox / 2 + 0.9), pt(cbBox - 1.8), pt(cbBox - 1.8), pt(4), pt(4), 'S');
+
+      // Checked: tick in the box, label struck through in grey
+      if (checked){
+        const bx = ix, by = mid - cbBox / 2;
+        doc.lines([[cbBox * 0.2, cbBox * 0.2], [cbBox * 0.35, -cbBox * 0.45]], pt(bx + cbBox * 0.22), pt(by + cbBox * 0.52));
+        doc.setTextColor(102, 102, 102);
+      }
+      if (qty){
+        doc.setFont('helvetica', 'bold');
+        doc.text(qty, pt(labelX), pt(textTop), { baseline: 'top' });
+        doc.setFont('helvetica', 'normal');
+      }
+      doc.text(lines, pt(nameX), pt(textTop), { baseline: 'top', lineHeightFactor: LH });
+      if (noteAt){
+        doc.setFont('helvetica', 'italic'); doc.setFontSize(pt(notePx));
+        const noteY = textTop + noteAt.line * m.item * LH + (m.item - notePx) * LH / 2;
+        doc.text(extra, pt(noteAt.x), pt(noteY), { baseline: 'top' });
+        doc.setFont('helvetica', 'normal'); doc.setFontSize(pt(m.item));
+      }
+      if (checked){
+        doc.setDrawColor(102, 102, 102);
+        doc.setLineWidth(pt(1));
+        lines.forEach((l, li) => {
+          const ly = textTop + (li + 0.55) * m.item * LH;
+          doc.line(pt(nameX), pt(ly), pt(nameX) + doc.getTextWidth(l), pt(ly));
+        });
+        doc.setDrawColor(17, 17, 17);
+        doc.setTextColor(17, 17, 17);
+      }
+      if (kids && icon){
+        doc.addImage(icon, 'PNG', pt(picX), pt(mid - m.icon / 2), pt(m.icon), pt(m.icon), url, 'FAST');
+      } else if (kids){
+        // Letter circle, as createLetterIcon draws it
+        doc.setFillColor(letterColor(entry.name, section.color));
+        doc.circle(pt(picX + m.icon / 2), pt(mid), pt(m.icon / 2), 'F');
+        doc.setFont('helvetica', 'bold'); doc.setFontSize(pt(m.icon * 0.5));
+        doc.setTextColor(255, 255, 255);
+        doc.text((name[0] || '?').toUpperCase(), pt(picX + m.icon / 2), pt(mid), { align: 'center', baseline: 'middle' });
+        doc.setFont('helvetica', 'normal'); doc.setFontSize(pt(m.item));
+        doc.setTextColor(17, 17, 17);
+      } else if (icon){
+        const widest = Math.max(...lines.map(l => doc.getTextWidth(l))) / 0.75;
+        const noteEnd = noteAt ? noteAt.x + noteAt.w - nameX : 0;
+        const iconX = nameX + Math.max(widest, noteEnd) + iconGap;
+        doc.addImage(icon, 'PNG', pt(iconX), pt(mid - m.icon / 2), pt(m.icon), pt(m.icon), url, 'FAST');
+      }
+      y += rowH;
+    }
+    return y;
+  };
+
+  if (!r.pages.length){
+    drawTitle();
+    doc.setFont('helvetica', 'italic');
+    doc.setFontSize(pt(m.item));
+    doc.setTextColor(102, 102, 102);
+    doc.text(pdfText(r.emptyNote), pt(geo.margins.left), pt(geo.margins.top + geo.titleH), { baseline: 'top' });
+    deliverPdf(doc);
+    return;
+  }
+
+  const drawGuides = (first) => {
+    doc.setLineWidth(pt(1));
+    for (const g of PrintLayout.gutterGuides(geo, first)){
+      if (g.kind === 'fold') { doc.setDrawColor(187, 187, 187); doc.setLineDashPattern([pt(4), pt(3)], 0); }
+      else { doc.setDrawColor(136, 136, 136); doc.setLineDashPattern([], 0); }
+      doc.line(pt(g.x1), pt(g.y1), pt(g.x2), pt(g.y2));
+    }
+    doc.setLineDashPattern([], 0);
+    doc.setDrawColor(17, 17, 17);
+  };
+
+  for (let p = 0; p < r.pages.length; p++){
+    if (p > 0) doc.addPage([pt(geo.pageW), pt(geo.pageH)], orientation);
+    if (p === 0) drawTitle();
+    if (guidesOn()) drawGuides(p === 0);
+    const top = geo.margins.top + (p === 0 ? geo.titleH : 0);
+    const rowH = p === 0 ? geo.rowH.first : geo.rowH.rest;
+
+    for (let c = 0; c < r.pages[p].length; c++){
+      const col = c % geo.cols, row = Math.floor(c / geo.cols);
+      const x = geo.margins.left + col * (geo.colW + geo.gutter) + geo.cellPad.left;
+      let y = top + row * (rowH + geo.gutter) + geo.cellPad.top + geo.leadGap;
+      for (let i = 0; i < r.pages[p][c].length; i++){
+        if (i > 0) y += geo.sectionGap;
+        y = await drawSection(r.pages[p][c][i], x, y, geo.cellW);
+      }
+    }
+  }
+
+  deliverPdf(doc);
+}
+
+/**
+ * Return a PDF library global, or throw a readable error if its script
+ * (vendor/*.js) didn't load. The message is shown to the user as-is.
+ */
+function requirePdfLib(globalName, file){
+  const lib = window[globalName];
+  if (!lib){
+    const err = new Error(t('error.pdfLib', { file }));
+    err.name = 'MissingLibraryError';
+    throw err;
+  }
+  return lib;
+}
+
+async function generatePDF(){
+  const mode = document.getElementById('opt-pdf')?.value || 'vector';
+  if (mode === 'raster') return generateRasterPDF();
+  return generateVectorPDF();
+}
+
+function isiOSDevice(){
+  return /\b(iPad|iPhone|iPod)\b/i.test(navigator.userAgent)
+    || (navigator.platform === 'MacIntel' && navigator.maxTouchPoints > 1);
+}
+
+// Open the finished PDF (iOS needs a blob link; elsewhere a new window is fine)
+function deliverPdf(doc){
+  if (isiOSDevice()) {
+    const blob = doc.output('blob');
+    const url  = URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url;
     a.target = '_blank';
@@ -593,15 +2399,555 @@ const sizeMap = {
   xlarge: { title:'1.95rem', heading:'1.25rem', item:'1.30rem' }
 };
 
-function applyTextSize(key){
-  const v = sizeMap[key] || sizeMap.normal;
+let TEXT_SIZE = 'normal'; // a sizeMap key or 'auto'
+
+function setTextScale(v, iconPx = null){
   const r = document.documentElement.style;
   r.setProperty('--title-size',   v.title);
   r.setProperty('--heading-size', v.heading);
   r.setProperty('--item-size',    v.item);
+  if (iconPx) r.setProperty('--icon-size', `${iconPx}px`);
+  else r.removeProperty('--icon-size'); // back to styles.css (and kids mode)
+}
+
+function applyTextSize(key){
+  TEXT_SIZE = key === 'auto' ? 'auto' : sizeMap[key] ? key : 'normal';
+  if (TEXT_SIZE !== 'auto') setTextScale(sizeMap[TEXT_SIZE]);
+  filterNow();
+}
+
+/**
+ * "Auto" text size: binary-search the largest scale of the normal preset
+ * (title, heading, item and icon together) at which every item packs onto
+ * one page. A list too long even at AUTO_SCALE.min uses the minimum and spills.
+ */
+const AUTO_SCALE = { min: 0.6, max: 2.2, steps: 8, safety: 0.97 };
+
+function autoFitText(model){
+  setTextScale(sizeMap.normal);
+  const iconPx = readListMetrics().icon; // styles.css value (kids mode is bigger)
+  const rem = (v, k) => `${(parseFloat(v) * k).toFixed(3)}rem`;
+  const scaleTo = (k) => setTextScale({
+    title: rem(sizeMap.normal.title, k), heading: rem(sizeMap.normal.heading, k), item: rem(sizeMap.normal.item, k)
+  }, Math.round(iconPx * k));
+  // Plain packing is enough to count pages (balancing never adds one)
+  const dom = createDomMeasurer(document.getElementById('out') || document.body);
+  const fits = (k) => {
+    scaleTo(k);
+    return PrintLayout.packSections(model.sections, measureLayoutGeometry(model.title), dom.measure).length === 1;
+  };
+
+  let lo = AUTO_SCALE.min, hi = AUTO_SCALE.max;
+  try {
+    if (fits(hi)) lo = hi;
+    else if (fits(lo)){
+      for (let i = 0; i < AUTO_SCALE.steps; i++){
+        const mid = (lo + hi) / 2;
+        if (fits(mid)) lo = mid; else hi = mid;
+      }
+      lo *= AUTO_SCALE.safety; // headroom for the DOM re-check in packToFit
+    }
+  } finally {
+    dom.dispose();
+  }
+  scaleTo(Math.max(AUTO_SCALE.min, lo));
+
+  const opt = document.querySelector('#opt-size option[value="auto"]');
+  if (opt) opt.textContent = t('size.autoPct', { pct: Math.round(lo * 100) });
+}
+
+/* =========================
+   Layout template control
+========================= */
+// Definitions live in layout.js (PrintLayout.LAYOUTS) so the packer,
+// the renderer and the PDF sheet all read the same template.
+let LAYOUT = { key: 'quad', def: PrintLayout.LAYOUTS.quad, fill: 'row' };
+
+function applyLayout(key, fill){
+  const def = PrintLayout.LAYOUTS[key] ? key : 'quad';
+  LAYOUT = { key: def, def: PrintLayout.LAYOUTS[def], fill: ['col', 'balance'].includes(fill) ? fill : 'row' };
+  filterNow();
+}
+
+/* =========================
+   Page size control
+========================= */
+// CSS px @ 96dpi, portrait. `css` is the @page size keyword, or the
+// portrait [width, height] for sizes CSS has no keyword for.
+const pageSizeMap = {
+  letter:     { w: 816,   h: 1056,   css: 'letter' },          // 8.5 × 11 in
+  a4:         { w: 793.7, h: 1122.5, css: 'A4' },              // 210 × 297 mm
+  legal:      { w: 816,   h: 1344,   css: 'legal' },           // 8.5 × 14 in
+  halfletter: { w: 528,   h: 816,    css: ['5.5in', '8.5in'] } // 5.5 × 8.5 in
+};
+
+// `size: <keyword> landscape` is valid, but lengths can't take an orientation:
+// they are written in page order instead ("8.5in 5.5in" for landscape)
+function pageSizeCss(css, landscape){
+  if (!Array.isArray(css)) return `${css} ${landscape ? 'landscape' : 'portrait'}`;
+  return (landscape ? css.slice().reverse() : css).join(' ');
+}
+
+let PAGE_BOX = { w: 816, h: 1056, css: 'letter', landscape: false };
+
+function applyPageSize(key, orientation){
+  const v = pageSizeMap[key] || pageSizeMap.letter;
+  const landscape = orientation === 'landscape';
+  PAGE_BOX = landscape
+    ? { w: v.h, h: v.w, css: v.css, landscape }
+    : { w: v.w, h: v.h, css: v.css, landscape };
+
+  // Browser print follows the same paper (overrides the default in styles.css)
+  let style = document.getElementById('page-size-style');
+  if (!style){
+    style = document.createElement('style');
+    style.id = 'page-size-style';
+    document.head.appendChild(style);
+  }
+  style.textContent = `@page{ size: ${pageSizeCss(v.css, landscape)}; }`;
+
+  filterNow();
+}
+
+/* =========================
+   Saved lists (library)
+   - Every list is autosaved in localStorage with its version history
+   - A new version starts when the list is edited after HISTORY_GAP of quiet;
+     edits within the gap update the latest version
+========================= */
+const LISTS_KEY = 'savedLists';
+const HISTORY_GAP = 15 * 60 * 1000;
+const HISTORY_MAX = 30; // versions kept per list
+
+let LIBRARY = { active: null, lists: {} }; // id -> { name, autoName, text, updated, history:[{ text, saved }] }
+
+function readLibrary(){
+  try {
+    const lib = JSON.parse(localStorage.getItem(LISTS_KEY));
+    if (lib && lib.lists) return lib;
+  } catch {}
+  return { active: null, lists: {} };
+}
+
+function saveLibrary(){
+  try { localStorage.setItem(LISTS_KEY, JSON.stringify(LIBRARY)); }
+  catch (e) { console.warn('[lists] could not save (storage full?):', e?.message || e); }
+}
+
+// Until renamed, a list is named after its title line
+const listTitle = (text) => (text.trim() ? parseList(text).title : t('list.new'));
+
+function createList(text = '', name = null){
+  const id = Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+  const now = Date.now();
+  LIBRARY.lists[id] = {
+    name: name || listTitle(text), autoName: !name, text, updated: now,
+    history: text.trim() ? [{ text, saved: now }] : []
+  };
+  LIBRARY.active = id;
+  saveLibrary();
+  fillListSelect();
+  return id;
+}
+
+/**
+ * Store the textarea in the active list (creating one if needed).
+ * `snapshot` forces a new version, e.g. after restoring an old one.
+ */
+function saveActiveList(text = document.getElementById('src').value, { snapshot = false } = {}){
+  const list = LIBRARY.lists[LIBRARY.active];
+  if (!list){
+    if (text.trim()) createList(text);
+    return;
+  }
+  if (list.text === text && !snapshot) return;
+
+  const now = Date.now();
+  list.text = text;
+  list.updated = now;
+  if (list.autoName) list.name = listTitle(text);
+  const last = list.history[list.history.length - 1];
+  if (last && !snapshot && now - last.saved < HISTORY_GAP){
+    last.text = text; last.saved = now;
+  } else if (text.trim()) {
+    list.history.push({ text, saved: now });
+    list.history.splice(0, Math.max(0, list.history.length - HISTORY_MAX));
+  }
+  saveLibrary();
+  fillListSelect();
+}
+
+function openList(id){
+  const list = LIBRARY.lists[id];
+  if (!list) return;
+  LIBRARY.active = id;
+  saveLibrary();
+  document.getElementById('src').value = list.text;
+  fillListSelect();
+  filterNow();
+}
+
+function deleteActiveList(){
+  delete LIBRARY.lists[LIBRARY.active];
+  const [next] = Object.entries(LIBRARY.lists).sort((a, b) => b[1].updated - a[1].updated);
+  if (next) openList(next[0]);
+  else { createList(''); openList(LIBRARY.active); }
+}
+
+function fillListSelect(){
+  const sel = document.getElementById('list-select');
+  if (!sel) return;
+  sel.innerHTML = '';
+  const lists = Object.entries(LIBRARY.lists).sort((a, b) => b[1].updated - a[1].updated);
+  for (const [id, list] of lists){
+    const opt = document.createElement('option');
+    opt.value = id; opt.textContent = list.name;
+    sel.appendChild(opt);
+  }
+  sel.value = LIBRARY.active || '';
+}
+
+function openRenameDialog(){
+  const dlg = document.getElementById('list-rename');
+  const list = LIBRARY.lists[LIBRARY.active];
+  if (!dlg || !list) return;
+  const input = dlg.querySelector('#list-name');
+  input.value = list.name;
+  dlg.querySelector('#list-rename-save').onclick = () => {
+    const name = input.value.trim();
+    list.autoName = !name;
+    list.name = name || listTitle(list.text);
+    saveLibrary();
+    fillListSelect();
+    dlg.close();
+  };
+  dlg.showModal();
+  input.select();
+}
+
+function openHistoryDialog(){
+  const dlg = document.getElementById('list-history');
+  const list = LIBRARY.lists[LIBRARY.active];
+  if (!dlg || !list) return;
+  dlg.querySelector('.history-name').textContent = list.name;
+  const ol = dlg.querySelector('.history');
+  ol.innerHTML = '';
+  list.history.slice().reverse().forEach((version, i) => {
+    const items = parseList(version.text).sections.flatMap(sec => sec.items.map(item => item.text));
+    const li = document.createElement('li');
+    const info = document.createElement('span');
+    info.className = 'history-info';
+    info.textContent = `${new Date(version.saved).toLocaleString(UI_LOCALE)} · ${tn('history.items', items.length)}`
+      + (i === 0 ? ` · ${t('history.current')}` : '');
+    const preview = document.createElement('span');
+    preview.className = 'history-preview';
+    preview.textContent = items.slice(0, 6).join(', ') + (items.length > 6 ? ', …' : '');
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'secondary';
+    btn.textContent = t('history.restore');
+    btn.disabled = version.text === list.text;
+    btn.addEventListener('click', () => {
+      document.getElementById('src').value = version.text;
+      saveActiveList(version.text, { snapshot: true });
+      filterNow();
+      dlg.close();
+    });
+    li.append(info, preview, btn);
+    ol.appendChild(li);
+  });
+  if (!list.history.length) ol.textContent = t('history.empty');
+  dlg.showModal();
+}
+
+// Markdown for any parsed list, so lists in different formats can be joined.
+// Heading-less items go first, still without a heading, so auto-group sorts them.
+function listToMarkdown(model, title = model.title){
+  const lines = [`# ${title}`];
+  const ungrouped = model.sections.filter(s => s.ungrouped);
+  for (const section of [...ungrouped, ...model.sections.filter(s => !s.ungrouped)]){
+    lines.push('');
+    if (!section.ungrouped) lines.push(`## ${section.name}`);
+    for (const item of section.items) lines.push(`${'  '.repeat(item.depth || 0)}- [${item.checked ? 'x' : ' '}] ${item.text}`);
+  }
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Combine the active list with another saved list or pasted text into a new
+ * list ("Mine + Sam's"). Duplicates are folded when it is drawn.
+ */
+function openCombineDialog(){
+  const dlg = document.getElementById('list-combine');
+  const list = LIBRARY.lists[LIBRARY.active];
+  if (!dlg || !list) return;
+  const sel = dlg.querySelector('#combine-with');
+  const paste = dlg.querySelector('#combine-text');
+  sel.innerHTML = '';
+  sel.add(new Option(t('combine.pasted'), ''));
+  for (const [id, other] of Object.entries(LIBRARY.lists).sort((a, b) => b[1].updated - a[1].updated)){
+    if (id === LIBRARY.active) continue;
+    const opt = document.createElement('option');
+    opt.value = id; opt.textContent = other.name;
+    sel.appendChild(opt);
+  }
+  paste.value = '';
+  dlg.querySelector('#list-combine-save').onclick = () => {
+    const other = LIBRARY.lists[sel.value];
+    const text = other ? other.text : paste.value;
+    if (!text.trim()) { paste.focus(); return; }
+    const name = `${list.name} + ${other ? other.name : listTitle(text)}`;
+    const mine = parseList(list.text);
+    const theirs = parseList(text);
+    const combined = listToMarkdown({ title: name, sections: [...mine.sections, ...theirs.sections] });
+    createList(combined, name);
+    openList(LIBRARY.active);
+    dlg.close();
+  };
+  dlg.showModal();
+}
+
+/* =========================
+   Share links (#v=1&z=…)
+   - z: the list, deflated (CompressionStream) and base64url-encoded
+   - t: the list as plain base64url, where CompressionStream is missing
+   - settings ride along as short params (SHARE_SETTINGS); autoprint=1 prints
+   - old #text=… links still open (see Init)
+========================= */
+const SHARE_VERSION = 1;
+const SHARE_SETTINGS = {
+  size: 'opt-size', page: 'opt-page', orient: 'opt-orient',
+  layout: 'opt-layout', fill: 'opt-fill', display: 'opt-display',
+  group: 'opt-group', icons: 'opt-icons', pdf: 'opt-pdf', guides: 'opt-guides',
+  kids: 'opt-kids', colors: 'opt-colors'
+};
+
+function bytesToBase64url(bytes){
+  let bin = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) bin += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  return btoa(bin).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function base64urlToBytes(s){
+  const b64 = s.replace(/-/g, '+').replace(/_/g, '/');
+  const bin = atob(b64 + '='.repeat((4 - b64.length % 4) % 4));
+  return Uint8Array.from(bin, ch => ch.charCodeAt(0));
+}
+
+// Run bytes through a CompressionStream/DecompressionStream
+async function pipeBytes(bytes, transform){
+  const stream = new Blob([bytes]).stream().pipeThrough(transform);
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/** A link to this page that reopens the current list with the current settings. */
+async function buildShareLink(){
+  const bytes = new TextEncoder().encode(document.getElementById('src').value || '');
+  const params = new URLSearchParams({ v: SHARE_VERSION });
+  if (typeof CompressionStream === 'function'){
+    params.set('z', bytesToBase64url(await pipeBytes(bytes, new CompressionStream('deflate'))));
+  } else {
+    params.set('t', bytesToBase64url(bytes));
+  }
+  for (const [key, id] of Object.entries(SHARE_SETTINGS)){
+    const el = document.getElementById(id);
+    if (el) params.set(key, el.type === 'checkbox' ? (el.checked ? '1' : '0') : el.value);
+  }
+  return `${location.href.split('#')[0]}#${params}`;
+}
+
+/**
+ * Apply the settings in a #v=… link (through the controls, so they are
+ * saved like a manual change) and return its list text, or null.
+ */
+async function readShareLink(params){
+  const v = Number(params.get('v'));
+  if (!(v >= 1 && v <= SHARE_VERSION)) throw new Error(t('error.linkVersion', { v: params.get('v') }));
+  for (const [key, id] of Object.entries(SHARE_SETTINGS)){
+    const el = document.getElementById(id);
+    const value = params.get(key);
+    if (!el || value == null) continue;
+    if (el.type === 'checkbox') el.checked = value === '1';
+    else if ([...el.options].some(o => o.value === value)) el.value = value;
+    else continue; // unknown value (e.g. a newer layout): keep ours
+    el.dispatchEvent(new Event('change'));
+  }
+  if (params.has('z')){
+    if (typeof DecompressionStream !== 'function') throw new Error(t('error.noDecompression'));
+    return new TextDecoder().decode(await pipeBytes(base64urlToBytes(params.get('z')), new DecompressionStream('deflate')));
+  }
+  if (params.has('t')) return new TextDecoder().decode(base64urlToBytes(params.get('t')));
+  return null;
+}
+
+// Draw `text` as a QR code (vendor/qrcode.js); throws if it is too long for one
+function drawQr(canvas, text){
+  const qr = window.qrcode(0, 'L'); // smallest version that fits, most room for data
+  qr.addData(text);
+  qr.make();
+  const n = qr.getModuleCount();
+  const quiet = 4; // modules of white border scanners need
+  const cell = Math.max(2, Math.floor(320 / (n + quiet * 2)));
+  canvas.width = canvas.height = (n + quiet * 2) * cell;
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = '#fff';
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.fillStyle = '#111';
+  for (let r = 0; r < n; r++){
+    for (let c = 0; c < n; c++){
+      if (qr.isDark(r, c)) ctx.fillRect((c + quiet) * cell, (r + quiet) * cell, cell, cell);
+    }
+  }
+}
+
+async function openShareDialog(){
+  const dlg = document.getElementById('share');
+  if (!dlg) return;
+  const link = await buildShareLink();
+  const input = dlg.querySelector('#share-link');
+  const status = dlg.querySelector('#share-status');
+  const canvas = dlg.querySelector('#share-qr');
+  input.value = link;
+
+  let copied = false;
+  try { await navigator.clipboard.writeText(link); copied = true; } catch {}
+  const notes = [t(copied ? 'share.copied' : 'share.copy')];
+
+  canvas.hidden = false;
+  try {
+    if (typeof window.qrcode !== 'function') throw new Error(t('error.libMissing', { file: 'vendor/qrcode.js' }));
+    drawQr(canvas, link);
+    notes.push(t('share.scan'));
+  } catch (e) {
+    canvas.hidden = true;
+    notes.push(typeof window.qrcode === 'function'
+      ? t('share.tooLong', { n: link.length })
+      : t('share.noQr', { error: e.message }));
+  }
+  status.textContent = notes.join(' ');
+  dlg.showModal();
+  input.select();
+}
+
+/* =========================
+   Language (UI and matching)
+   - index.html marks translatable text with data-i18n (text),
+     data-i18n-html, -title, -placeholder and -aria-label; the markup's
+     own English is the fallback
+   - "Match words…" picks which packs the matcher runs, in order
+========================= */
+const I18N_ATTRS = [
+  ['i18n', 'textContent'], ['i18nHtml', 'innerHTML'],
+  ['i18nTitle', 'title'], ['i18nPlaceholder', 'placeholder'], ['i18nAriaLabel', 'aria-label']
+];
+
+function applyMessages(root = document){
+  for (const [data, prop] of I18N_ATTRS){
+    const attr = data.replace(/[A-Z]/g, ch => `-${ch.toLowerCase()}`);
+    for (const el of root.querySelectorAll(`[data-${attr}]`)){
+      const read = () => prop === 'aria-label' ? el.getAttribute(prop) : el[prop];
+      const en = `${data}En`;
+      if (el.dataset[en] == null) el.dataset[en] = read() ?? '';
+      const text = t(el.dataset[data], {}, el.dataset[en]);
+      if (prop === 'aria-label') el.setAttribute(prop, text); else el[prop] = text;
+    }
+  }
+  // Options built from code
+  for (const opt of document.querySelectorAll('#opt-layout option')){
+    opt.textContent = t(`layout.${opt.value}`, {}, PrintLayout.LAYOUTS[opt.value]?.label);
+  }
+  for (const opt of document.querySelectorAll('#opt-icons option')){
+    opt.textContent = t(`icons.${opt.value}`, {}, ICON_SETS[opt.value]);
+  }
+  fillStoreSelect();
+}
+
+const defaultMatchLocales = () => [...new Set([UI_LOCALE, 'en'])];
+
+function applyUiLocale(code){
+  UI_LOCALE = LOCALE_PACKS[code] ? code : 'en';
+  document.documentElement.lang = UI_LOCALE;
+  // Until the user picks an order, matching follows the UI language
+  if (!localStorage.getItem('optMatchLocales')) setMatchLocales(defaultMatchLocales());
+  applyMessages();
   filterNow();
 }
 
+function loadMatchLocales(){
+  let codes = null;
+  try { codes = JSON.parse(localStorage.getItem('optMatchLocales')); } catch {}
+  setMatchLocales(Array.isArray(codes) ? codes : defaultMatchLocales());
+}
+
+/** Tick and order the matching languages; unticked packs keep their place at the end. */
+function openMatchLocalesDialog(){
+  const dlg = document.getElementById('match-langs');
+  if (!dlg) return;
+  const ol = dlg.querySelector('.match-langs');
+  const codes = [...MATCH_LOCALES, ...LOCALE_CODES.filter(code => !MATCH_LOCALES.includes(code))]
+    .filter(code => LOCALE_PACKS[code]);
+  const ticked = new Set(MATCH_LOCALES);
+
+  const draw = () => {
+    ol.innerHTML = '';
+    codes.forEach((code, i) => {
+      const li = document.createElement('li');
+      const label = document.createElement('label');
+      const cb = document.createElement('input');
+      cb.type = 'checkbox';
+      cb.checked = ticked.has(code);
+      cb.addEventListener('change', () => cb.checked ? ticked.add(code) : ticked.delete(code));
+      label.append(cb, ` ${LOCALE_PACKS[code].name}`);
+      const move = (text, title, to, which) => {
+        const b = document.createElement('button');
+        b.type = 'button'; b.className = 'secondary'; b.textContent = text; b.title = title;
+        b.setAttribute('aria-label', `${title}: ${LOCALE_PACKS[code].name}`);
+        b.disabled = to < 0 || to >= codes.length;
+        b.addEventListener('click', () => {
+          codes.splice(to, 0, ...codes.splice(i, 1));
+          draw();
+          const again = ol.children[to].querySelectorAll('button')[which];
+          (again.disabled ? ol.children[to].querySelector('button:not(:disabled)') : again)?.focus();
+        });
+        return b;
+      };
+      li.append(label, move('↑', t('match.up'), i - 1, 0), move('↓', t('match.down'), i + 1, 1));
+      ol.appendChild(li);
+    });
+  };
+  draw();
+
+  dlg.querySelector('#match-langs-save').onclick = () => {
+    const picked = codes.filter(code => ticked.has(code));
+    if (!picked.length) return;
+    localStorage.setItem('optMatchLocales', JSON.stringify(picked));
+    setMatchLocales(picked);
+    filterNow();
+    dlg.close();
+  };
+  dlg.showModal();
+}
+
+/* =========================
+   Notifications
+   - One role="alert" banner for every error, so screen readers announce it
+   - Stays until dismissed (× or Escape) or replaced by the next message
+========================= */
+function notify(message){
+  const box = document.getElementById('notice');
+  if (!box) { console.warn(message); return; }
+  box.hidden = false;
+  box.querySelector('.notice-text').textContent = message;
+}
+
+function dismissNotice(){
+  const box = document.getElementById('notice');
+  if (!box || box.hidden) return false;
+  box.hidden = true;
+  box.querySelector('.notice-text').textContent = '';
+  return true;
+}
+
 /* =========================
    Init & events
 ========================= */
@@ -610,74 +2956,321 @@ document.addEventListener('DOMContentLoaded', async () => {
     await loadIconMap();
   } catch (e) {
     console.error(e);
-    // Use an error box instead of an alert
-    const errorBox = document.createElement('div');
-    errorBox.style.cssText = 'position: fixed; top: 50%; left: 50%; transform: translate(-50%, -50%); padding: 20px; background-color: #f8d7da; border: 1px solid #f5c6cb; border-radius: 5px; color: #721c24; z-index: 1000;';
-    errorBox.textContent = 'Could not load icon-map.json. Icons may be missing.';
-    document.body.appendChild(errorBox);
-    setTimeout(() => errorBox.remove(), 5000);
+    notify(t('error.iconMap'));
   }
+  await loadLocales();
+  loadUserSynonyms();
+  loadMergeSkip();
+  await loadCategoryMap();
+
+  const selLocale = document.getElementById('opt-locale');
+  for (const code of LOCALE_CODES.filter(code => LOCALE_PACKS[code])){
+    selLocale.add(new Option(LOCALE_PACKS[code].name, code));
+  }
+  const savedLocale = localStorage.getItem('optLocale');
+  const browserLocale = (navigator.language || '').slice(0, 2).toLowerCase();
+  selLocale.value = [savedLocale, browserLocale].find(code => LOCALE_PACKS[code]) || 'en';
+  loadMatchLocales();
+  applyUiLocale(selLocale.value);
+  selLocale.addEventListener('change', ()=>{
+    localStorage.setItem('optLocale', selLocale.value);
+    applyUiLocale(selLocale.value);
+  });
+  document.getElementById('btn-match-langs')?.addEventListener('click', openMatchLocalesDialog);
+  document.getElementById('match-langs-cancel')?.addEventListener('click', ()=> document.getElementById('match-langs').close());
+
+  const selPage   = document.getElementById('opt-page');
+  const selOrient = document.getElementById('opt-orient');
+  const savedPage   = localStorage.getItem('optPage');
+  const savedOrient = localStorage.getItem('optOrient');
+  if(savedPage && pageSizeMap[savedPage]) selPage.value = savedPage;
+  if(savedOrient === 'portrait' || savedOrient === 'landscape') selOrient.value = savedOrient;
+  applyPageSize(selPage.value, selOrient.value);
+  const onPageChange = ()=>{
+    localStorage.setItem('optPage', selPage.value);
+    localStorage.setItem('optOrient', selOrient.value);
+    applyPageSize(selPage.value, selOrient.value);
+  };
+  selPage.addEventListener('change', onPageChange);
+  selOrient.addEventListener('change', onPageChange);
+
+  const selLayout = document.getElementById('opt-layout');
+  const selFill   = document.getElementById('opt-fill');
+  for (const [key, def] of Object.entries(PrintLayout.LAYOUTS)){
+    const opt = document.createElement('option');
+    opt.value = key; opt.textContent = t(`layout.${key}`, {}, def.label);
+    selLayout.appendChild(opt);
+  }
+  selLayout.value = 'quad';
+  const savedLayout = localStorage.getItem('optLayout');
+  const savedFill   = localStorage.getItem('optFill');
+  if(savedLayout && PrintLayout.LAYOUTS[savedLayout]) selLayout.value = savedLayout;
+  if(['row', 'col', 'balance'].includes(savedFill)) selFill.value = savedFill;
+  applyLayout(selLayout.value, selFill.value);
+  const onLayoutChange = ()=>{
+    localStorage.setItem('optLayout', selLayout.value);
+    localStorage.setItem('optFill', selFill.value);
+    applyLayout(selLayout.value, selFill.value);
+  };
+  selLayout.addEventListener('change', onLayoutChange);
+  selFill.addEventListener('change', onLayoutChange);
+
+  const selPdf = document.getElementById('opt-pdf');
+  const savedPdf = localStorage.getItem('optPdf');
+  if(savedPdf === 'vector' || savedPdf === 'raster') selPdf.value = savedPdf;
+  selPdf.addEventListener('change', ()=> localStorage.setItem('optPdf', selPdf.value));
+
+  const selIcons = document.getElementById('opt-icons');
+  for (const [key, label] of Object.entries(ICON_SETS)){
+    const opt = document.createElement('option');
+    opt.value = key; opt.textContent = t(`icons.${key}`, {}, label);
+    selIcons.appendChild(opt);
+  }
+  const savedIcons = localStorage.getItem('optIcons');
+  selIcons.value = ICON_SETS[savedIcons] ? savedIcons : 'png';
+  applyIconSet(selIcons.value);
+  selIcons.addEventListener('change', ()=>{
+    localStorage.setItem('optIcons', selIcons.value);
+    applyIconSet(selIcons.value);
+    filterNow();
+  });
 
   const sel = document.getElementById('opt-size');
   const saved = localStorage.getItem('optSize');
-  if(saved && sizeMap[saved]) sel.value = saved;
+  if(saved && (sizeMap[saved] || saved === 'auto')) sel.value = saved;
   applyTextSize(sel.value);
   sel.addEventListener('change', ()=>{
     localStorage.setItem('optSize', sel.value);
     applyTextSize(sel.value);
   });
 
+  // Keyboard shortcuts (not while typing): P print PDF, S load sample, + / − text size
+  const SIZE_STEPS = ['small', 'normal', 'large', 'xlarge'];
+  document.getElementById('notice-close')?.addEventListener('click', dismissNotice);
+  document.addEventListener('keydown', (e)=>{
+    if (e.key === 'Escape' && dismissNotice()) return;
+    if (e.ctrlKey || e.metaKey || e.altKey || e.defaultPrevented) return;
+    if (e.target.closest('textarea, select, dialog, input:not([type="checkbox"])')) return;
+    const key = e.key.toLowerCase();
+    if (key === 'p') document.getElementById('btn-pdf')?.click();
+    else if (key === 's') document.getElementById('btn-sample')?.click();
+    else if (key === '+' || key === '=' || key === '-' || key === '_'){
+      const at = SIZE_STEPS.indexOf(sel.value === 'auto' ? 'normal' : sel.value);
+      const next = SIZE_STEPS[Math.min(SIZE_STEPS.length - 1, Math.max(0, at + (key === '-' || key === '_' ? -1 : 1)))];
+      if (next === sel.value) return;
+      sel.value = next;
+      sel.dispatchEvent(new Event('change'));
+    } else return;
+    e.preventDefault();
+  });
+
   document.getElementById('btn-sample')?.addEventListener('click', async ()=>{
     try{
-      const res = await fetch('sample.md?v=' + Date.now(), { cache: 'no-store' });
+      const res = await fetch('sample.md', { cache: 'no-cache' });
       const text = await res.text();
-      document.getElementById('src').value = text;
-      filterNow();
+      // The sample gets a list of its own; only an empty list is reused
+      if (LIBRARY.lists[LIBRARY.active]?.text.trim()){
+        createList(text);
+        openList(LIBRARY.active);
+      } else {
+        document.getElementById('src').value = text;
+        saveActiveList();
+        filterNow();
+      }
     }catch(e){
-      // Use an error box instead of an alert
-      const errorBox = document.createElement('div');
-      errorBox.style.cssText = 'position: fixed; top: 50%; left: 50%; transform: translate(-50%, -50%); padding: 20px; background-color: #f8d7da; border: 1px solid #f5c6cb; border-radius: 5px; color: #721c24; z-index: 1000;';
-      errorBox.textContent = 'Could not load sample.md';
-      document.body.appendChild(errorBox);
-      setTimeout(() => errorBox.remove(), 5000);
+      notify(t('error.sample'));
     }
   });
 
   document.getElementById('btn-pdf')?.addEventListener('click', async ()=>{
     const btn = document.getElementById('btn-pdf');
-    btn.disabled = true; const prev = btn.textContent; btn.textContent = 'Building…';
+    btn.disabled = true; const prev = btn.textContent; btn.textContent = t('pdf.building');
     try { await generatePDF(); }
     catch(e){
       console.error(e);
-      // Use an error box instead of an alert
-      const errorBox = document.createElement('div');
-      errorBox.style.cssText = 'position: fixed; top: 50%; left: 50%; transform: translate(-50%, -50%); padding: 20px; background-color: #f8d7da; border: 1px solid #f5c6cb; border-radius: 5px; color: #721c24; z-index: 1000;';
-      errorBox.textContent = 'PDF failed — see console.';
-      document.body.appendChild(errorBox);
-      setTimeout(() => errorBox.remove(), 5000);
+      notify(e?.name === 'MissingLibraryError' ? e.message : t('error.pdf'));
     }
     finally { btn.disabled = false; btn.textContent = prev; }
   });
 
-  // Auto render (debounced)
+  // Interactive checklist
+  const selDisplay = document.getElementById('opt-display');
+  const savedDisplay = localStorage.getItem('optDisplay');
+  if(DISPLAY_MODES.includes(savedDisplay)) selDisplay.value = savedDisplay;
+  selDisplay.addEventListener('change', ()=>{
+    localStorage.setItem('optDisplay', selDisplay.value);
+    filterNow();
+  });
+
+  // The checkbox does the toggling (click, tap or Space); the row around it forwards clicks
+  const outEl = document.getElementById('out');
+  outEl?.addEventListener('change', (e)=>{
+    if (e.target.matches('input.cb')) toggleItem(e.target.closest('li.item'));
+  });
+  outEl?.addEventListener('click', (e)=>{
+    const li = e.target.closest('li.item');
+    if (!li || e.target.matches('input.cb')) return;
+    const icon = e.target.closest('.icon-wrap');
+    // Kids mode: the row reads itself aloud, only the box checks it off
+    if (kidsOn()) { e.preventDefault(); speakItem(li.dataset.name); return; }
+    if (icon) { e.preventDefault(); openIconPicker(li.dataset.name); return; }
+    if (!e.target.closest('label')) li.querySelector('input.cb')?.click(); // labels do this themselves
+  });
+  document.getElementById('btn-writeback')?.addEventListener('click', ()=>{
+    const srcEl = document.getElementById('src');
+    const updated = writeBackChecks(srcEl.value);
+    if (updated == null) { notify(t('error.writeBack')); return; }
+    if (updated === srcEl.value) return;
+    CHECKS.lines.clear(); saveCheckState(); // those checks now live in the text
+    srcEl.value = updated;
+    saveActiveList();
+    filterNow();
+  });
+
+  // Icon matching debug panel
+  const chkDebug = document.getElementById('opt-debug');
+  chkDebug.checked = localStorage.getItem('optDebug') === '1';
+  chkDebug.addEventListener('change', ()=>{
+    localStorage.setItem('optDebug', chkDebug.checked ? '1' : '0');
+    filterNow();
+  });
+
+  // Auto-group (aisles)
+  const chkGroup = document.getElementById('opt-group');
+  chkGroup.checked = localStorage.getItem('optGroup') === '1';
+  chkGroup.addEventListener('change', ()=>{
+    localStorage.setItem('optGroup', chkGroup.checked ? '1' : '0');
+    filterNow();
+  });
+
+  // Kids mode and section colors
+  const chkKids = document.getElementById('opt-kids');
+  const chkColors = document.getElementById('opt-colors');
+  chkKids.checked = localStorage.getItem('optKids') === '1';
+  chkColors.checked = localStorage.getItem('optColors') === '1';
+  document.documentElement.classList.toggle('kids', chkKids.checked);
+  chkKids.addEventListener('change', ()=>{
+    localStorage.setItem('optKids', chkKids.checked ? '1' : '0');
+    applyKidsMode(chkKids.checked);
+  });
+  chkColors.addEventListener('change', ()=>{
+    localStorage.setItem('optColors', chkColors.checked ? '1' : '0');
+    filterNow();
+  });
+
+  // Fold/cut guides on printed pages (on unless turned off)
+  const chkGuides = document.getElementById('opt-guides');
+  chkGuides.checked = localStorage.getItem('optGuides') !== '0';
+  chkGuides.addEventListener('change', ()=> localStorage.setItem('optGuides', chkGuides.checked ? '1' : '0'));
+
+  // Browser print lays the sheets out like the PDF (see enterPrintMode)
+  window.addEventListener('beforeprint', enterPrintMode);
+  window.addEventListener('afterprint', exitPrintMode);
+
+  // Store profiles
+  fillStoreSelect();
+  const selStore = document.getElementById('opt-store');
+  selStore.addEventListener('change', ()=>{
+    localStorage.setItem('optStore', selStore.value);
+    filterNow();
+  });
+  document.getElementById('btn-store-edit')?.addEventListener('click', ()=> openStoreEditor(!selStore.value));
+  document.getElementById('btn-store-new')?.addEventListener('click', ()=> openStoreEditor(true));
+  document.getElementById('store-cancel')?.addEventListener('click', ()=> document.getElementById('store-editor').close());
+
+  // Icon editor
+  document.getElementById('icon-picker-close')?.addEventListener('click', ()=> document.getElementById('icon-picker').close());
+  document.getElementById('btn-syn-export')?.addEventListener('click', exportUserSynonyms);
+  const synFile = document.getElementById('syn-file');
+  document.getElementById('btn-syn-import')?.addEventListener('click', ()=> synFile.click());
+  synFile?.addEventListener('change', async ()=>{
+    const file = synFile.files[0];
+    synFile.value = '';
+    if (!file) return;
+    try {
+      importUserSynonyms(JSON.parse(await file.text()));
+      filterNow();
+    } catch(e){
+      console.error(e);
+      notify(t('error.import', { error: e.message }));
+    }
+  });
+
+  // Auto render + autosave (debounced)
   let _tid;
   document.getElementById('src')?.addEventListener('input', ()=>{
     clearTimeout(_tid);
-    _tid = setTimeout(filterNow, 200);
+    _tid = setTimeout(()=>{ saveActiveList(); filterNow(); }, 200);
+  });
+
+  // Saved lists
+  LIBRARY = readLibrary();
+  fillListSelect();
+  document.getElementById('list-select')?.addEventListener('change', (e)=> openList(e.target.value));
+  document.getElementById('btn-list-new')?.addEventListener('click', ()=>{ createList(''); openList(LIBRARY.active); });
+  document.getElementById('btn-list-dup')?.addEventListener('click', ()=>{
+    const list = LIBRARY.lists[LIBRARY.active];
+    if (list) { createList(list.text, t('list.copyName', { name: list.name })); openList(LIBRARY.active); }
+  });
+  document.getElementById('btn-list-rename')?.addEventListener('click', openRenameDialog);
+  document.getElementById('btn-list-history')?.addEventListener('click', openHistoryDialog);
+  document.getElementById('btn-list-combine')?.addEventListener('click', openCombineDialog);
+  document.getElementById('list-combine-cancel')?.addEventListener('click', ()=> document.getElementById('list-combine').close());
+  document.getElementById('list-rename-cancel')?.addEventListener('click', ()=> document.getElementById('list-rename').close());
+  document.getElementById('list-history-close')?.addEventListener('click', ()=> document.getElementById('list-history').close());
+  // Delete asks twice instead of a native confirm()
+  const btnDelete = document.getElementById('btn-list-delete');
+  let _armed;
+  btnDelete?.addEventListener('click', ()=>{
+    if (!_armed){
+      btnDelete.textContent = t('list.reallyDelete');
+      _armed = setTimeout(()=>{ _armed = null; btnDelete.textContent = t('lists.delete', {}, 'Delete'); }, 3000);
+      return;
+    }
+    clearTimeout(_armed); _armed = null; btnDelete.textContent = t('lists.delete', {}, 'Delete');
+    deleteActiveList();
   });
 
-  // Hash support (&text=... &autoprint=1)
+  // Offline support: precache the app, PDF libraries and icons
+  if ('serviceWorker' in navigator) {
+    navigator.serviceWorker.register('sw.js')
+      .catch(err => console.warn('[sw] registration failed:', err?.message || err));
+  }
+
+  // Share links
+  document.getElementById('btn-share')?.addEventListener('click', ()=>{
+    openShareDialog().catch(e => {
+      console.error(e);
+      notify(t('error.shareLink'));
+    });
+  });
+  document.getElementById('share-close')?.addEventListener('click', ()=> document.getElementById('share').close());
+
+  // Hash support: #v=1&z=... (share links) and the old #text=... (&autoprint=1 on both)
   const rawHash = location.hash.startsWith('#')?location.hash.slice(1):location.hash;
   if(rawHash){
     const params = new URLSearchParams(rawHash);
-    const t = params.get('text'); const auto = params.get('autoprint');
-    if(t){
-      let decoded=''; try{decoded=decodeURIComponent(t);}catch{ try{decoded=atob(t);}catch{decoded=t;} }
+    const auto = params.get('autoprint');
+    let decoded = null;
+    if(params.has('v')){
+      try { decoded = await readShareLink(params); }
+      catch(e){
+        console.error(e);
+        notify(t('error.openLink', { error: e.message }));
+      }
+    } else if(params.get('text')){
+      const textParam = params.get('text');
+      try{decoded=decodeURIComponent(textParam);}catch{ try{decoded=atob(textParam);}catch{decoded=textParam;} }
+    }
+    if(decoded != null){
+      // A link opens as a new saved list rather than replacing the current one
+      if(decoded !== LIBRARY.lists[LIBRARY.active]?.text) createList(decoded);
       document.getElementById('src').value=decoded; filterNow();
       if(auto==='1' || (auto && auto.toLowerCase()==='true')) setTimeout(()=>window.print(),300);
       return;
     }
   }
 
+  document.getElementById('src').value = LIBRARY.lists[LIBRARY.active]?.text ?? '';
   filterNow();
 });
\ No newline at end of file
@@ -0,0 +1,92 @@
+'use strict';
+
+/* =========================
+   Service worker (offline)
+   - Precaches the app shell, PDF libraries and every icon
+   - Bump CACHE_VERSION whenever a precached file changes
+========================= */
+const CACHE_VERSION = 'v5';
+const CACHE_NAME = `print-list-${CACHE_VERSION}`;
+
+const APP_SHELL = [
+  './',
+  'index.html',
+  'styles.css',
+  'layout.js',
+  'main.js',
+  'icon-map.json',
+  'category-map.json',
+  'locales/fr.json',
+  'locales/es.json',
+  'grocery-icons.svg',
+  'sample.md',
+  'manifest.webmanifest',
+  'assets/manifest.json',
+  'vendor/html2canvas.min.js',
+  'vendor/jspdf.umd.min.js',
+  'vendor/qrcode.js'
+];
+
+// App code and data: try the network first so edits show up, fall back offline.
+// Everything else (icons, vendored libraries) is served cache-first.
+const NETWORK_FIRST = /\.(?:html|css|js|json|md|svg|webmanifest)$|\/$/;
+const VENDOR = /\/vendor\//;
+
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(CACHE_NAME);
+    await cache.addAll(APP_SHELL);
+
+    // Icons come from the generated manifest (node tools/icon-manifest.js)
+    const res = await cache.match('assets/manifest.json');
+    const { icons = [], ext = 'png' } = res ? await res.json() : {};
+    await cache.addAll(icons.map(key => `assets/${key}.${ext}`));
+
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const keys = await caches.keys();
+    await Promise.all(keys
+      .filter(k => k.startsWith('print-list-') && k !== CACHE_NAME)
+      .map(k => caches.delete(k)));
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener('fetch', (event) => {
+  const req = event.request;
+  if (req.method !== 'GET' || new URL(req.url).origin !== self.location.origin) return;
+
+  const path = new URL(req.url).pathname;
+  if (req.mode === 'navigate' || (NETWORK_FIRST.test(path) && !VENDOR.test(path))){
+    event.respondWith(networkFirst(req));
+  } else {
+    event.respondWith(cacheFirst(req));
+  }
+});
+
+async function networkFirst(req){
+  const cache = await caches.open(CACHE_NAME);
+  try {
+    const res = await fetch(req);
+    if (res.ok) cache.put(req, res.clone());
+    return res;
+  } catch (err) {
+    const hit = await cache.match(req, { ignoreSearch: true })
+      || (req.mode === 'navigate' ? await cache.match('index.html') : null);
+    if (hit) return hit;
+    throw err;
+  }
+}
+
+async function cacheFirst(req){
+  const cache = await caches.open(CACHE_NAME);
+  const hit = await cache.match(req, { ignoreSearch: true });
+  if (hit) return hit;
+  const res = await fetch(req);
+  if (res.ok) cache.put(req, res.clone());
+  return res;
+}
@@ -0,0 +1,36 @@
+'use strict';
+
+/* =========================
+   Test loader
+   - Runs layout.js and main.js the way the page does (classic scripts
+     sharing one global scope), with just enough DOM to load them
+   - app.run(code) evaluates in that scope; app.plain(code) returns the
+     result as plain JSON so assert.deepStrictEqual can compare it
+========================= */
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..', '..');
+
+function loadApp(storage = {}){
+  const store = new Map(Object.entries(storage));
+  const context = vm.createContext({
+    console,
+    document: { addEventListener(){}, getElementById: () => null, querySelector: () => null },
+    localStorage: {
+      getItem: (k) => store.has(k) ? store.get(k) : null,
+      setItem: (k, v) => store.set(k, String(v)),
+      removeItem: (k) => store.delete(k)
+    }
+  });
+  for (const file of ['layout.js', 'main.js']){
+    vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context, { filename: file });
+  }
+  const run = (code) => vm.runInContext(code, context);
+  return { run, plain: (code) => JSON.parse(run(`JSON.stringify(${code})`)), store };
+}
+
+const readFixture = (...parts) => fs.readFileSync(path.join(ROOT, ...parts), 'utf8');
+
+module.exports = { ROOT, loadApp, readFixture };
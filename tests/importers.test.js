@@ -0,0 +1,54 @@
+'use strict';
+
+/* =========================
+   Importer corpus (IMPORTERS in main.js)
+   - fixtures/importers/<name>.<ext> is a pasted list; <name>.json holds
+     the model parseList() must produce and, under "writeBack", the lines
+     to tap and the text "Write back ✓" must produce (null: not supported)
+   - After an intended change run with UPDATE_FIXTURES=1 and review the diff
+========================= */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { loadApp } = require('./helpers/load-app.js');
+
+const DIR = path.join(__dirname, 'fixtures', 'importers');
+const app = loadApp();
+const q = JSON.stringify;
+
+const parse = (src) => app.plain(`parseList(${q(src)})`);
+const writeBack = (src, tap) => app.run(`pickImporter(${q(src)}).writeBack?.(${q(src)}, new Set(${q(tap)})) ?? null`);
+const checks = (model) => model.sections.flatMap(s => s.items.map(item => [item.line, item.checked]));
+
+for (const file of fs.readdirSync(DIR).filter(f => !f.endsWith('.json')).sort()){
+  const expectedFile = path.join(DIR, `${path.parse(file).name}.json`);
+  const src = fs.readFileSync(path.join(DIR, file), 'utf8');
+
+  test(`${file} parses into the expected model`, () => {
+    const expected = JSON.parse(fs.readFileSync(expectedFile, 'utf8'));
+    const model = parse(src);
+    if (process.env.UPDATE_FIXTURES){
+      expected.model = model;
+      if (expected.writeBack) expected.writeBack.text = writeBack(src, expected.writeBack.tap);
+      fs.writeFileSync(expectedFile, JSON.stringify(expected, null, 2) + '\n');
+    }
+    assert.deepEqual(model, expected.model);
+  });
+
+  test(`${file} writes tapped checks back and round-trips`, () => {
+    const { writeBack: expected } = JSON.parse(fs.readFileSync(expectedFile, 'utf8'));
+    if (!expected) return;
+    const text = writeBack(src, expected.tap);
+    assert.equal(text, expected.text);
+    if (text == null) return;
+
+    // The written-back text reads as the same list with only the tapped items flipped...
+    const before = checks(parse(src));
+    const after = checks(parse(text));
+    assert.deepEqual(after, before.map(([line, checked]) => [line, expected.tap.includes(line) ? !checked : checked]));
+    assert.equal(parse(text).format, parse(src).format);
+    // ...and tapping them again restores every check
+    assert.deepEqual(checks(parse(writeBack(text, expected.tap))), before);
+  });
+}
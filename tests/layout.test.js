@@ -0,0 +1,101 @@
+'use strict';
+
+/* =========================
+   Packing fixtures (layout.js)
+   - sample.md at every sizeMap size, packed with the font-metrics
+     estimator on Letter with the default 2×2 quadrants
+   - Expected pages -> cells -> sections live in fixtures/sample-pack.json;
+     after an intended change run with UPDATE_FIXTURES=1 and review the diff
+   - Balanced fill: spreads a full page, never splits a short list
+========================= */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { loadApp, readFixture } = require('./helpers/load-app.js');
+const { mmToPx, pageGeometry, packSections, packBalanced, createFontMetricsMeasurer } = require('../layout.js');
+
+const FIXTURE = path.join(__dirname, 'fixtures', 'sample-pack.json');
+
+const m = mmToPx(8);
+const geo = pageGeometry({ margins: { top: m, right: m, bottom: m, left: m }, gutter: mmToPx(18), titleH: 48, leadGap: 16, sectionGap: 16 });
+
+const app = loadApp();
+app.run(`var SRC = ${JSON.stringify(readFixture('sample.md'))}; loadCheckState(SRC)`);
+const sizeMap = app.plain('sizeMap');
+// "hide" is what prints by default; "strike" keeps every item and spills onto page 2
+const models = {
+  hide:   app.plain('applyDisplayMode(parseItems(parseList(SRC)), "hide")'),
+  strike: app.plain('applyDisplayMode(parseItems(parseList(SRC)), "strike")')
+};
+
+const pack = (sections, size) => packSections(sections, geo, createFontMetricsMeasurer(sizeMap[size]));
+const describe = (pages) => pages.map(cells => cells.map(cell =>
+  cell.map(s => `${s.name}: ${s.items.map(item => item.text).join(' | ')}`)));
+
+test('sample.md packs into the recorded pages and cells at every size', () => {
+  const actual = {};
+  for (const size of Object.keys(sizeMap)){
+    actual[size] = {};
+    for (const [mode, model] of Object.entries(models)) actual[size][mode] = describe(pack(model.sections, size));
+  }
+  if (process.env.UPDATE_FIXTURES) fs.writeFileSync(FIXTURE, JSON.stringify(actual, null, 2) + '\n');
+  assert.deepEqual(actual, JSON.parse(fs.readFileSync(FIXTURE, 'utf8')));
+});
+
+test('every item is packed once, in list order, and cells stay within their height', () => {
+  for (const size of Object.keys(sizeMap)){
+    const measure = createFontMetricsMeasurer(sizeMap[size]);
+    for (const model of Object.values(models)){
+      const pages = packSections(model.sections, geo, measure);
+      const packed = pages.flat(2).flatMap(s => s.items.map(item => item.line));
+      assert.deepEqual(packed, model.sections.flatMap(s => s.items.map(item => item.line)), size);
+      pages.forEach((cells, p) => cells.forEach((cell, i) => {
+        const used = cell.reduce((h, s, k) => h + measure(s, geo.cellW) + (k ? geo.sectionGap : 0), 0);
+        const limit = (p === 0 ? geo.firstPageCellHeights : geo.cellHeights)[i];
+        assert.ok(used <= limit, `${size} page ${p + 1} cell ${i}: ${used} > ${limit}`);
+      }));
+    }
+  }
+});
+
+test('a split section repeats its heading with "(cont.)"', () => {
+  const pages = pack(models.strike.sections, 'xlarge');
+  assert.equal(pages.length, 2);
+  const names = pages.flat(2).map(s => s.name);
+  for (const section of models.strike.sections){
+    const parts = names.filter(n => n === section.name || n === `${section.name} (cont.)`);
+    assert.equal(parts[0], section.name);
+    assert.ok(parts.slice(1).every(n => n === `${section.name} (cont.)`), section.name);
+  }
+  assert.ok(names.some(n => n.endsWith('(cont.)')));
+  const fr = packSections(models.strike.sections, { ...geo, continued: '(suite)' }, createFontMetricsMeasurer(sizeMap.xlarge));
+  assert.ok(fr.flat(2).some(s => s.name.endsWith(' (suite)')));
+});
+
+test('an item taller than a cell gets a cell of its own instead of paging forever', () => {
+  const tall = { text: 'very long item '.repeat(200), line: 99 };
+  const sections = [
+    { name: 'Before', items: [{ text: 'milk', line: 1 }] },
+    { name: 'Huge', items: [tall, { text: 'eggs', line: 100 }] }
+  ];
+  const measure = createFontMetricsMeasurer(sizeMap.normal);
+  assert.ok(measure({ name: 'Huge', items: [tall] }, geo.cellW) > geo.cellHeights[0]);
+
+  const pages = packSections(sections, geo, measure);
+  const cells = pages.flat(1).filter(cell => cell.length);
+  assert.deepEqual(cells.map(cell => cell.map(s => `${s.name}: ${s.items.map(item => item.line)}`)),
+    [['Before: 1'], ['Huge: 99'], ['Huge (cont.): 100']]);
+});
+
+test('balanced fill evens out a full page but leaves a short section whole', () => {
+  const measure = createFontMetricsMeasurer(sizeMap.normal);
+  const dairy = [{ name: 'Dairy', items: ['milk', 'eggs', 'butter'].map((text, i) => ({ text, line: i + 2 })) }];
+  assert.deepEqual(describe(packBalanced(dairy, geo, measure)), [[['Dairy: milk | eggs | butter'], [], [], []]]);
+
+  const pages = packBalanced(models.hide.sections, geo, measure);
+  assert.equal(pages.length, 1);
+  assert.ok(pages[0].every(cell => cell.length), 'every cell gets a share');
+  assert.deepEqual(pages.flat(2).flatMap(s => s.items.map(item => item.line)),
+    models.hide.sections.flatMap(s => s.items.map(item => item.line)));
+});
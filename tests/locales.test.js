@@ -0,0 +1,52 @@
+'use strict';
+
+/* =========================
+   Locale packs (locales/*.json + LOCALE_EN in main.js)
+   - Matching with several packs ticked, in the user's order
+========================= */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, readFixture } = require('./helpers/load-app.js');
+
+const app = loadApp();
+for (const code of ['fr', 'es']){
+  app.run(`LOCALE_PACKS.${code} = compileLocale('${code}', ${readFixture('locales', `${code}.json`)})`);
+}
+app.run(`PNG_KEYS = new Set(${JSON.stringify(JSON.parse(readFixture('assets', 'manifest.json')).icons)}); applyIconSet('png')`);
+
+const withLocales = (codes, fn) => {
+  app.run(`setMatchLocales(${JSON.stringify(codes)})`);
+  try { fn(); } finally { app.run('setMatchLocales(["en"])'); }
+};
+const icon = (text) => app.run(`pickIconKeySmart(${JSON.stringify(text)})`);
+
+test('each ticked pack singularizes and translates', () => {
+  withLocales(['fr', 'es', 'en'], () => {
+    assert.equal(icon('pommes de terre'), 'potato');
+    assert.equal(icon('œufs'), 'egg');
+    assert.equal(icon('2 botellas de leche'), 'milk');
+    assert.equal(icon('boxes of tomatoes'), 'tomato');
+  });
+});
+
+test("an unticked language's word gets no icon through another pack's typo match", () => {
+  withLocales(['fr', 'en'], () => assert.notEqual(icon('leche'), 'peach'));
+  withLocales(['es', 'en'], () => assert.equal(icon('leche'), 'milk'));
+});
+
+test('English duplicates still merge with another language first', () => {
+  withLocales(['fr', 'en'], () => {
+    const { model } = app.plain(`mergeDuplicates(parseItems(parseList(${JSON.stringify(
+      '## A\n- tomatoes\n- berries\n- œufs\n\n## B\n- tomato\n- 2 berry\n- oeuf\n')})))`);
+    assert.deepEqual(model.sections.map(s => s.items.map(item => `${item.name} ×${item.qty}`)),
+      [['tomatoes ×2', 'berries ×3', 'œufs ×2']]);
+  });
+});
+
+test('every English message has a French and Spanish translation', () => {
+  const keys = app.plain('Object.keys(MESSAGES_EN)');
+  for (const code of ['fr', 'es']){
+    const messages = JSON.parse(readFixture('locales', `${code}.json`)).messages;
+    assert.deepEqual(keys.filter(k => !(k in messages)), [], code);
+  }
+});
@@ -0,0 +1,58 @@
+'use strict';
+
+/* =========================
+   Merge duplicates (mergeDuplicates in main.js)
+   - Repeats fold into the first copy, in its own section or a later one
+   - Checked copies stay out of the sum
+========================= */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./helpers/load-app.js');
+
+const app = loadApp();
+const merge = (src) => app.plain(`mergeDuplicates(parseItems(parseList(${JSON.stringify(src)})))`);
+const rows = (model) => model.sections.map(s => `${s.name}: ${s.items.map(item =>
+  `${item.name}${item.qty != null ? ` ×${item.qty}` : ''}${item.copies ? ` [${item.copies.map(c => c.line)}]` : ''}`).join(', ')}`);
+
+test('copies in the same section add up', () => {
+  const { model, merges } = merge('## Produce\n- 2 bananas\n- 3 bananas\n- green bananas\n\n## Dairy\n- milk\n- milk\n');
+  assert.deepEqual(rows(model), ['Produce: bananas ×6 [2,3,4]', 'Dairy: milk ×2 [7,8]']);
+  assert.deepEqual(merges.map(m => m.from.length), [2, 1]);
+});
+
+test('a copy in a later section folds into the right item after an earlier merge', () => {
+  const { model } = merge('## A\n- eggs\n- eggs\n- bread\n- rice\n\n## B\n- 2 bread\n');
+  assert.deepEqual(rows(model), ['A: eggs ×2 [2,3], bread ×3 [4,8], rice']);
+});
+
+test('skipped keys stay separate', () => {
+  app.run('MERGE_SKIP = new Set(["bread"])');
+  try {
+    const { model, skipped } = merge('## A\n- bread\n- eggs\n- eggs\n\n## B\n- bread\n');
+    assert.deepEqual(rows(model), ['A: bread, eggs ×2 [3,4]', 'B: bread']);
+    assert.deepEqual(skipped, ['bread']);
+  } finally {
+    app.run('MERGE_SKIP = new Set()');
+  }
+});
+
+test('a checked copy never adds to the one still to buy', () => {
+  const shown = (src) => rows(app.plain(`applyDisplayMode(mergeDuplicates(parseItems(parseList(${JSON.stringify(src)}))).model, 'hide')`));
+  assert.deepEqual(shown('## Dairy\n- [x] 2 milk\n- [ ] milk\n'), ['Dairy: milk']);
+  app.run('CHECKS = { hash: null, lines: new Set([3]) }');
+  try {
+    assert.deepEqual(shown('## Dairy\n- [ ] 2 milk\n- [ ] milk\n- [ ] milk\n'), ['Dairy: milk ×3 [2,4]']);
+  } finally {
+    app.run('CHECKS = { hash: null, lines: new Set() }');
+  }
+});
+
+test('combining lists keeps heading-less items heading-less', () => {
+  const text = app.run(`listToMarkdown({ title: 'A + B', sections: [
+    ...parseList('# Mine\\n## Dairy\\n- milk\\n').sections,
+    ...parseList('bread\\neggs\\n').sections
+  ] })`);
+  assert.equal(text, '# A + B\n\n- [ ] bread\n- [ ] eggs\n\n## Dairy\n- [ ] milk\n');
+  assert.deepEqual(app.plain(`parseList(${JSON.stringify(text)}).sections.map(s => [s.name, !!s.ungrouped])`),
+    [['Items', true], ['Dairy', false]]);
+});
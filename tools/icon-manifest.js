@@ -0,0 +1,22 @@
+'use strict';
+
+/* =========================
+   Icon manifest generator
+   - Lists every icon in assets/ into assets/manifest.json
+   - The service worker precaches from it
+   Run after adding/removing icons:  node tools/icon-manifest.js
+========================= */
+const fs = require('fs');
+const path = require('path');
+
+const ICON_DIR = path.join(__dirname, '..', 'assets');
+const ICON_EXT = '.png';
+
+const icons = fs.readdirSync(ICON_DIR)
+  .filter(f => f.endsWith(ICON_EXT))
+  .map(f => f.slice(0, -ICON_EXT.length))
+  .sort();
+
+const manifest = { ext: ICON_EXT.slice(1), icons };
+fs.writeFileSync(path.join(ICON_DIR, 'manifest.json'), JSON.stringify(manifest, null, 2) + '\n');
+console.log(`[icon-manifest] ${icons.length} icons -> assets/manifest.json`);